@@ -7,11 +7,575 @@ const {
   createAudioPlayer, 
   createAudioResource, 
   joinVoiceChannel, 
+  entersState,
   AudioPlayerStatus,
   VoiceConnectionStatus,
   StreamType
 } = require('@discordjs/voice');
 const prism = require('prism-media');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { fileURLToPath } = require('url');
+
+/**
+ * Events after which a queue snapshot is saved to the storage
+ * @type {string[]}
+ */
+const PERSIST_EVENTS = [
+  'playSong', 'addSong', 'addList', 'songRemove', 'songMove', 'shuffle', 'seek',
+  'pause', 'resume', 'volumeChange', 'repeatMode', 'filterChange', 'autoplayChange', 'crossfadeChange'
+];
+
+/**
+ * Events after which the settings of a guild are saved to the settings provider
+ * @type {string[]}
+ */
+const SETTINGS_EVENTS = ['volumeChange', 'repeatMode', 'filterChange', 'autoplayChange', 'crossfadeChange'];
+
+/**
+ * Events streamed to the WebSocket clients of the control server
+ * @type {string[]}
+ */
+const SERVER_EVENTS = [
+  'queueCreate', 'queueRestore', 'playSong', 'addSong', 'addList', 'playlistLoad', 'songRemove',
+  'songMove', 'shuffle', 'seek', 'pause', 'resume', 'stop', 'finish', 'empty', 'disconnect',
+  'volumeChange', 'repeatMode', 'filterChange', 'autoplayChange', 'crossfadeChange', 'segmentSkip',
+  'voteSkipProgress', 'streamRetry', 'streamFailed', 'liveEnded', 'noRelated', 'leave', 'error'
+];
+
+/**
+ * HTTP status of the control server for error codes, other Hetubed errors are a 400
+ * @type {Object<string, number>}
+ */
+const HTTP_STATUS = {
+  UNAUTHORIZED: 401,
+  MISSING_PERMISSIONS: 403,
+  NOT_FOUND: 404,
+  NO_QUEUE: 404,
+  BODY_TOO_LARGE: 413,
+  NOTHING_PLAYING: 409,
+  RATE_LIMITED: 429
+};
+
+/**
+ * Number of songs YouTube returns per playlist page
+ * @type {number}
+ */
+const PLAYLIST_PAGE_SIZE = 100;
+
+/**
+ * ffmpeg filter measuring and normalizing the loudness of songs that do not come with it
+ * @type {string}
+ */
+const LOUDNORM_FILTER = 'loudnorm=I=-14:TP=-1:LRA=11';
+
+/**
+ * Built-in filter presets, mapped to their ffmpeg `-af` chains
+ * @type {Object<string, string>}
+ */
+const FILTER_PRESETS = {
+  bassboost: 'bass=g=10,dynaudnorm=f=200',
+  nightcore: 'aresample=48000,asetrate=48000*1.25',
+  vaporwave: 'aresample=48000,asetrate=48000*0.8',
+  '8D': 'apulsator=hz=0.08',
+  echo: 'aecho=0.8:0.9:1000:0.3',
+  karaoke: 'stereotools=mlev=0.03',
+  flanger: 'flanger',
+  surround: 'surround',
+};
+
+/**
+ * ffmpeg filters that read or write files, load plugins or take commands from outside the
+ * chain, which custom filter strings may not use
+ * @type {Set<string>}
+ */
+const UNSAFE_FILTERS = new Set([
+  'movie', 'amovie', 'sendcmd', 'asendcmd', 'zmq', 'azmq', 'ladspa', 'lv2', 'frei0r', 'arnndn',
+  'ametadata', 'metadata', 'sofalizer', 'firequalizer', 'subtitles', 'ass', 'drawtext', 'dnn_processing'
+]);
+
+/**
+ * Check whether a custom `-af` string is a plain chain of filters that only touch the audio
+ * passing through it. Labels, several chains, quoting and escapes are refused, so splitting on
+ * commas finds every filter.
+ * @param {string} chain ffmpeg `-af` chain
+ * @returns {boolean}
+ */
+function isSafeFilter(chain) {
+  if (typeof chain !== 'string' || !chain.trim() || /[;[\]'"\\\n\r]/.test(chain)) return false;
+  
+  return chain.split(',').every(filter => {
+    const name = filter.split('=')[0].split('@')[0].trim().toLowerCase();
+    return /^[a-z0-9_]+$/.test(name) && !UNSAFE_FILTERS.has(name);
+  });
+}
+
+/**
+ * Speed a filter chain plays songs at, from its `asetrate` and `atempo` filters. An `asetrate`
+ * is relative to the sample rate of the `aresample` before it, 48000 without one.
+ * @param {string} chain ffmpeg `-af` chain
+ * @returns {number}
+ */
+function tempoOf(chain) {
+  let rate = 48000;
+  let tempo = 1;
+  
+  for (const filter of String(chain || '').split(',')) {
+    const [, name, value] = filter.trim().match(/^(aresample|asetrate|atempo)=(?:r=)?([^:]+)/) || [];
+    const [, a, operator, b] = (value || '').match(/^([\d.]+)(?:([*/])([\d.]+))?$/) || [];
+    if (!a) continue;
+    
+    const number = operator === '*' ? a * b : operator === '/' ? a / b : Number(a);
+    if (!(number > 0)) continue;
+    
+    if (name === 'aresample') rate = number;
+    else if (name === 'asetrate') tempo *= number / rate;
+    else tempo *= number;
+  }
+  
+  return tempo;
+}
+
+/**
+ * Format a duration in seconds as `m:ss`, or `h:mm:ss` when it lasts an hour or more
+ * @param {number} seconds Duration in seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = (total % 60).toString().padStart(2, '0');
+  
+  return hours
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Parse a `m:ss` or `h:mm:ss` duration into seconds
+ * @param {string} duration Formatted duration
+ * @returns {number}
+ */
+function parseDuration(duration) {
+  if (!duration) return 0;
+  
+  return String(duration)
+    .split(':')
+    .reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+}
+
+/**
+ * Keep the fields of a song that describe it, without the member who requested it
+ * @param {Song} song Song to serialize
+ * @returns {Object}
+ */
+function serializeSong({ member, ...song }) {
+  return song;
+}
+
+/**
+ * Write songs as an extended M3U playlist
+ * @param {Song[]} songs Songs to write
+ * @returns {string}
+ */
+function toM3U(songs) {
+  const lines = ['#EXTM3U'];
+  
+  for (const song of songs) {
+    // Titles cannot span lines, and -1 is the M3U duration of a live stream
+    const title = String(song.title || '').replace(/[\r\n]+/g, ' ');
+    lines.push(`#EXTINF:${song.isLive ? -1 : Math.round(song.duration || 0)},${title}`, song.url);
+  }
+  
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read the entries of a M3U playlist, with the title and duration of `#EXTINF` lines
+ * @param {string} text Playlist content
+ * @returns {Array<{url: string, title: string|null, duration: number}>}
+ */
+function parseM3U(text) {
+  const entries = [];
+  let info = null;
+  
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) continue;
+    
+    if (line.startsWith('#EXTINF:')) {
+      const match = /^#EXTINF:(-?\d+(?:\.\d+)?)[^,]*,(.*)$/.exec(line);
+      info = match ? { duration: parseFloat(match[1]), title: match[2].trim() || null } : null;
+    } else if (!line.startsWith('#')) {
+      entries.push({ url: line, title: info?.title || null, duration: info?.duration ?? 0 });
+      info = null;
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Inspect a file or a stream with ffmpeg to find its container, codec, duration and title.
+ * A stream is fed through stdin, so ffmpeg never opens anything by itself
+ * @param {string|Readable} input File path or stream
+ * @returns {Promise<ProbeResult>} Empty when ffmpeg is missing or cannot read the input
+ */
+function probe(input) {
+  const piped = typeof input !== 'string';
+  
+  let command;
+  try {
+    command = prism.FFmpeg.getInfo().command;
+  } catch (error) {
+    if (piped) input.destroy();
+    return Promise.resolve({});
+  }
+  
+  return new Promise(resolve => {
+    // Without an output ffmpeg only prints the input information and exits
+    const child = spawn(command, ['-hide_banner', '-i', piped ? 'pipe:0' : input], { windowsHide: true });
+    const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+    let output = '';
+    
+    if (piped) {
+      // ffmpeg closes stdin as soon as it has seen enough
+      child.stdin.on('error', () => {});
+      input.on('error', () => {});
+      input.pipe(child.stdin);
+      child.on('close', () => input.destroy());
+    }
+    
+    child.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve({});
+    });
+    child.on('close', () => {
+      clearTimeout(timer);
+      
+      const container = output.match(/Input #0, ([^,]+(?:,[^,\s]+)*), from/);
+      const codec = output.match(/Audio: (\w+)/);
+      const duration = output.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+      const title = output.match(/^\s+(?:title|icy-name)\s*: (.+)$/m);
+      const icy = /^\s+icy-\w+\s*:/m.test(output);
+      
+      resolve({
+        container: container ? container[1] : null,
+        codec: codec ? codec[1] : null,
+        duration: duration ? Math.round(duration[1] * 3600 + duration[2] * 60 + parseFloat(duration[3])) : 0,
+        title: title ? title[1].trim() : null,
+        icy
+      });
+    });
+  });
+}
+
+/**
+ * Pick how a probed input should be fed to the player: Opus is passed through as is,
+ * anything else is transcoded
+ * @param {ProbeResult} info Probe result
+ * @returns {StreamType}
+ */
+function streamTypeFor(info) {
+  if (info.codec === 'opus') {
+    if (info.container === 'ogg') return StreamType.OggOpus;
+    if (info.container && info.container.includes('webm')) return StreamType.WebmOpus;
+  }
+  
+  return StreamType.Arbitrary;
+}
+
+/**
+ * Loopback, private, link-local, shared, multicast and reserved ranges that user supplied URLs must not reach
+ * @type {net.BlockList}
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is not publicly routable
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) address = mapped[1];
+  
+  return PRIVATE_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * DNS lookup for sockets that refuses hosts resolving to a private address, checked at connect time
+ * so a second resolution cannot swap the address
+ * @param {string} hostname Host to resolve
+ * @param {Object} options Lookup options
+ * @param {Function} callback Lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new StreamError('PRIVATE_ADDRESS', `${hostname} resolves to a private address.`));
+    }
+    
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Refuse URLs that are not HTTP(S) or that name a private IP address directly
+ * @param {string} url URL to check
+ */
+function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') throw new HetubedError('INVALID_URL');
+  
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw new StreamError('PRIVATE_ADDRESS', `${host} is a private address.`);
+  }
+}
+
+/**
+ * Open an HTTP(S) response stream, following redirects
+ * @param {string} url URL to request
+ * @param {Object} [options] Request options
+ * @param {number} [options.redirects=5] Redirects left to follow
+ * @param {number} [options.timeout=15000] Milliseconds to wait for the response headers before aborting
+ * @param {boolean} [options.publicOnly=false] Whether to refuse private addresses, redirects included
+ * @returns {Promise<IncomingMessage>}
+ */
+function httpGet(url, { redirects = 5, timeout = 15000, publicOnly = false } = {}) {
+  return new Promise((resolve, reject) => {
+    if (publicOnly) assertPublicUrl(url);
+    const client = url.startsWith('https:') ? https : http;
+    
+    const request = client.get(url, publicOnly ? { lookup: publicLookup } : {}, response => {
+      clearTimeout(timer);
+      const { statusCode, headers } = response;
+      
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (!redirects) return reject(new StreamError('HTTP_ERROR', 'Too many redirects.'));
+        
+        const location = new URL(headers.location, url).toString();
+        return resolve(httpGet(location, { redirects: redirects - 1, timeout, publicOnly }));
+      }
+      
+      if (statusCode >= 400) {
+        response.resume();
+        
+        const error = new StreamError('HTTP_ERROR', `Request failed with status ${statusCode}.`);
+        error.status = statusCode;
+        return reject(error);
+      }
+      
+      // Client responses have no URL of their own, keep the one redirects ended on
+      response.url = url;
+      resolve(response);
+    });
+    
+    // Only the wait for the headers is bounded, a live stream may stay open for hours
+    const timer = setTimeout(() => request.destroy(new StreamError('HTTP_TIMEOUT')), timeout);
+    request.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Turn event arguments into plain JSON data: queues become their guild ID, members their ID
+ * and errors their code and message
+ * @param {*} value Value to convert
+ * @param {WeakSet} [seen] Objects converted already, to break cycles
+ * @returns {*}
+ */
+function toWire(value, seen = new WeakSet()) {
+  if (typeof value === 'function') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  
+  if (value instanceof Queue) return value.guildId;
+  if (value instanceof Error) return { name: value.name, code: value.code || null, message: value.message };
+  if (value.user && value.guild && value.id) return value.id;
+  
+  if (seen.has(value)) return undefined;
+  seen.add(value);
+  
+  if (Array.isArray(value)) return value.map(item => toWire(item, seen));
+  
+  const data = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (key === 'member') {
+      data.memberId = item ? item.id : null;
+    } else {
+      data[key] = toWire(item, seen);
+    }
+  }
+  return data;
+}
+
+/**
+ * Default messages of the stable error codes, useful as keys for localized messages
+ * @type {Object<string, string>}
+ */
+const ERROR_MESSAGES = {
+  INVALID_CLIENT: 'Discord Client is required.',
+  INVALID_PLUGIN: 'Plugin must be an object.',
+  DUPLICATE_PLUGIN: 'A plugin with this name is already registered.',
+  INVALID_ARGUMENT: 'Invalid argument.',
+  INVALID_QUERY: 'Search query must be a non-empty string.',
+  NO_STORAGE: 'No storage configured.',
+  NO_VOICE_CHANNEL: 'Voice channel is required.',
+  VOICE_CONNECT_FAILED: 'Could not connect to the voice channel.',
+  NO_RESULT: 'No search results found.',
+  INVALID_URL: 'This URL is not supported.',
+  UNAVAILABLE_VIDEO: 'This video is unavailable.',
+  PRIVATE_VIDEO: 'This video is private.',
+  AGE_RESTRICTED: 'This video is age restricted.',
+  PRIVATE_PLAYLIST: 'This playlist is private or does not exist.',
+  UNSUPPORTED_PLAYLIST: 'This playlist is not supported.',
+  EMPTY_PLAYLIST: 'This playlist is empty.',
+  LIVE_OFFLINE: 'The live stream is offline.',
+  RATE_LIMITED: 'Too many requests, try again later.',
+  RESOLVE_FAILED: 'Could not resolve the song.',
+  NO_STREAM: 'The extractor did not return a stream.',
+  HTTP_ERROR: 'The request failed.',
+  HTTP_TIMEOUT: 'The request timed out.',
+  HLS_NOT_SUPPORTED: 'HLS playlists are only supported from YouTube.',
+  PRIVATE_ADDRESS: 'This URL points to a private address.',
+  STREAM_FAILED: 'The audio stream failed.',
+  TRANSCODE_FAILED: 'Transcoding the audio failed.',
+  LIVE_RECONNECT_FAILED: 'Could not reconnect to the live stream.',
+  NOTHING_PLAYING: 'Nothing is playing.',
+  INVALID_POSITION: 'Invalid position',
+  INVALID_SEEK: 'Invalid seek time',
+  LIVE_NOT_SEEKABLE: 'Cannot seek in a live stream.',
+  NO_PREVIOUS: 'There is no previous song.',
+  MISSING_PERMISSIONS: 'You are not allowed to do this.',
+  NOT_IN_VOICE: 'You need to be in the voice channel.',
+  ALREADY_VOTED: 'You already voted to skip this song.',
+  NSFW_NOT_ALLOWED: 'Age restricted songs are not allowed here.',
+  SONG_TOO_LONG: 'This song is too long.',
+  QUEUE_FULL: 'The queue is full.',
+  MEMBER_LIMIT: 'You queued too many songs already.',
+  BLOCKED_CONTENT: 'This song is blocked in this server.',
+  INVALID_PLAYLIST: 'This playlist could not be read.',
+  INVALID_FILTER: 'Filter must be a preset name or a plain ffmpeg audio filter chain.',
+  UNAUTHORIZED: 'Invalid or missing token.',
+  NOT_FOUND: 'Unknown endpoint.',
+  NO_QUEUE: 'There is no queue in this guild.',
+  BODY_TOO_LARGE: 'Request body is too large.',
+};
+
+/**
+ * Error thrown by Hetubed, with a stable `code` to tell errors apart
+ */
+class HetubedError extends Error {
+  /**
+   * Create a new HetubedError
+   * @param {string} code Stable error code
+   * @param {string} [message] Human readable message, defaults to the one of the code
+   * @param {Object} [options={}] Error options
+   * @param {Error} [options.cause] Underlying error
+   */
+  constructor(code, message = ERROR_MESSAGES[code] || code, options = {}) {
+    super(message);
+    
+    this.name = this.constructor.name;
+    this.code = code;
+    
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * Error resolving or searching a song, mapped from extractor failures
+ */
+class ResolveError extends HetubedError {}
+
+/**
+ * Error of the audio stream or its transcoding
+ */
+class StreamError extends HetubedError {}
+
+/**
+ * Error joining or keeping the voice connection
+ */
+class VoiceError extends HetubedError {}
+
+/**
+ * Error of a queue operation, such as an invalid position
+ */
+class QueueError extends HetubedError {}
+
+/**
+ * Error of a song rejected by the content restrictions, such as a too long song
+ */
+class RestrictionError extends QueueError {}
+
+/**
+ * Known ytdl, ytpl and ytsr failure messages and the codes they map to, checked in order
+ * @type {Array<[RegExp, string]>}
+ */
+const RESOLVE_ERROR_PATTERNS = [
+  [/confirm your age|age.?restrict|inappropriate for some users/i, 'AGE_RESTRICTED'],
+  [/private video|video is private/i, 'PRIVATE_VIDEO'],
+  [/unknown playlist|playlist.*private|private.*playlist/i, 'PRIVATE_PLAYLIST'],
+  [/mixes not supported|unsupported playlist/i, 'UNSUPPORTED_PLAYLIST'],
+  [/empty playlist/i, 'EMPTY_PLAYLIST'],
+  [/live stream is offline/i, 'LIVE_OFFLINE'],
+  [/status code: 429/i, 'RATE_LIMITED'],
+  [/no video id found|not a youtube domain|invalid or unknown list query|not a known youtube link/i, 'INVALID_URL'],
+  [/unavailable|playable formats|not available/i, 'UNAVAILABLE_VIDEO'],
+];
+
+/**
+ * Turn an extractor failure into a ResolveError with a stable code, keeping the original
+ * error as its cause
+ * @param {Error} error Error thrown by an extractor
+ * @returns {HetubedError}
+ */
+function toResolveError(error) {
+  if (error instanceof HetubedError) return error;
+  
+  const message = (error && error.message) || String(error);
+  const match = RESOLVE_ERROR_PATTERNS.find(([pattern]) => pattern.test(message));
+  
+  return new ResolveError(match ? match[1] : 'RESOLVE_FAILED', message, { cause: error });
+}
+
+/**
+ * Whether retrying a failed stream can help, which it cannot for a video that is private,
+ * removed or restricted
+ * @param {Error} error Error of the failed stream
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error instanceof RestrictionError) return false;
+  
+  return !(error instanceof ResolveError) || error.code === 'RATE_LIMITED';
+}
 
 /**
  * Main Hetubed class - Optimized for performance
@@ -25,7 +589,7 @@ class Hetubed extends EventEmitter {
   constructor(client, options = {}) {
     super();
     
-    if (!client) throw new Error('Discord Client is required.');
+    if (!client) throw new HetubedError('INVALID_CLIENT');
     
     /**
      * Discord.js client
@@ -51,11 +615,48 @@ class Hetubed extends EventEmitter {
       leaveOnFinish: false,
       leaveOnStop: false,
       savePreviousSongs: true,
+      maxPreviousSongs: 50,
       emitNewSongOnly: false,
       emitAddSongWhenCreatingQueue: true,
       emitAddListWhenCreatingQueue: true,
       emptyCooldown: 60,
+      leaveOnFinishCooldown: 60,
+      leaveOnStopCooldown: 0,
+      pauseOnEmpty: true,
       nsfw: false,
+      customFilters: {},
+      storage: null,
+      localFiles: false,
+      httpStreams: false,
+      connectTimeout: 15,
+      liveStallTimeout: 15,
+      liveReconnectAttempts: 3,
+      streamRetries: 3,
+      streamRetryDelay: 1,
+      prefetchSeconds: 10,
+      djRoles: [],
+      djUsers: [],
+      requesterControl: true,
+      voteSkipThreshold: 0.5,
+      maxDuration: 0,
+      maxQueueSize: 0,
+      maxSongsPerMember: 0,
+      blockedKeywords: [],
+      blockedChannels: [],
+      settings: null,
+      playlistStorage: null,
+      maxPlaylistSize: 100,
+      maxVolume: 100,
+      normalizeVolume: false,
+      loudnorm: false,
+      volumeFadeDuration: 0.3,
+      crossfade: 0,
+      fadeIn: 0,
+      fadeOut: 0,
+      segmentProvider: null,
+      skipCategories: ['music_offtopic'],
+      lazyPlaylists: false,
+      cache: {},
       ytdlOptions: {
         quality: 'highestaudio',
         filter: 'audioonly',
@@ -65,26 +666,118 @@ class Hetubed extends EventEmitter {
       ...options
     };
     
+    /**
+     * Filter presets by name, including the custom ones from the options
+     * @type {Object<string, string>}
+     */
+    this.filters = { ...FILTER_PRESETS, ...this.options.customFilters };
+    
+    /**
+     * DJ roles and users set per guild, overriding `djRoles` and `djUsers` of the options
+     * @type {Collection<string, DJSettings>}
+     */
+    this.djs = new Collection();
+    
+    /**
+     * Keyword and channel blocklists set per guild, added to the ones of the options
+     * @type {Collection<string, Blocklist>}
+     */
+    this.blocklists = new Collection();
+    
+    /**
+     * Leaves empty channels and idle queues, pauses while nobody listens and keeps 24/7 guilds
+     * @type {PresenceManager}
+     */
+    this.presence = new PresenceManager(this);
+    
+    /**
+     * Shared cache for resolved videos, playlists and searches, `null` when disabled
+     * @type {ResolveCache|null}
+     */
+    this.cache = this.options.cache === false ? null : new ResolveCache(this.options.cache);
+    
+    /**
+     * Built-in YouTube extractor, used when no plugin handles a query
+     * @type {YouTubeExtractor}
+     */
+    this.youtube = new YouTubeExtractor(this);
+    
+    /**
+     * Built-in extractors, consulted after the plugins in this order
+     * @type {HetubedPlugin[]}
+     */
+    this.builtinExtractors = [this.youtube, new HTTPExtractor(this), new FileExtractor(this)];
+    
+    /**
+     * Registered plugins, in the order they are consulted
+     * @type {HetubedPlugin[]}
+     */
     this.plugins = [];
     if (Array.isArray(this.options.plugins)) {
       this.options.plugins.forEach(this.addPlugin.bind(this));
     }
     
+    /**
+     * Pending snapshot saves by guild ID
+     * @type {Map<string, Timeout>}
+     * @private
+     */
+    this._saveTimers = new Map();
+    
+    /**
+     * Resolve latencies and stream counters reported by `stats()`
+     * @type {Object}
+     * @private
+     */
+    this._metrics = {
+      resolves: {
+        ytdl: new LatencyHistogram(),
+        ytpl: new LatencyHistogram(),
+        ytsr: new LatencyHistogram()
+      },
+      streamErrors: 0,
+      streamRetries: 0,
+      streamFailures: 0,
+      liveReconnects: 0,
+      voiceReconnects: 0
+    };
+    
     this._initEventHandlers();
     
+    if (this.options.storage) {
+      this._initPersistence();
+    }
+    
+    if (this.options.settings) {
+      const save = queue => this._saveSettings(queue);
+      for (const event of SETTINGS_EVENTS) {
+        this.on(event, save);
+      }
+    }
+    
     this._boundCleanup = this._cleanup.bind(this);
     process.on('SIGINT', this._boundCleanup);
     process.on('SIGTERM', this._boundCleanup);
   }
   
   /**
-   * Add a plugin to Hetubed
-   * @param {Object} plugin Plugin to add
+   * Add a plugin to Hetubed. Plugins may implement `validate(query)`, `resolve(query)`,
+   * `search(query)` and `getStream(song)`; they are consulted in registration order
+   * before the built-in YouTube extractor.
+   * @param {HetubedPlugin} plugin Plugin to add
    * @returns {Hetubed}
    */
   addPlugin(plugin) {
     if (!plugin || typeof plugin !== 'object') {
-      throw new Error('Plugin must be an object.');
+      throw new HetubedError('INVALID_PLUGIN');
+    }
+    
+    if (!plugin.name) {
+      plugin.name = `plugin-${this.plugins.length}`;
+    }
+    
+    if (this.extractors.some(p => p.name === plugin.name)) {
+      throw new HetubedError('DUPLICATE_PLUGIN', `A plugin named "${plugin.name}" is already registered.`);
     }
     
     if (typeof plugin.init === 'function') {
@@ -95,6 +788,23 @@ class Hetubed extends EventEmitter {
     return this;
   }
   
+  /**
+   * Plugins followed by the built-in extractors, in the order they are consulted
+   * @type {HetubedPlugin[]}
+   */
+  get extractors() {
+    return [...this.plugins, ...this.builtinExtractors];
+  }
+  
+  /**
+   * Get the extractor responsible for a song source
+   * @param {string} source Song source name
+   * @returns {HetubedPlugin}
+   */
+  getExtractor(source) {
+    return this.extractors.find(p => p.name === source) || this.youtube;
+  }
+  
   /**
    * Play or add a song to the queue with optimized promise handling
    * @param {VoiceChannel|StageChannel} voiceChannel Voice channel to play in
@@ -103,27 +813,37 @@ class Hetubed extends EventEmitter {
    * @returns {Promise<Queue>}
    */
   async play(voiceChannel, song, options = {}) {
-    if (!voiceChannel) throw new Error('Voice channel is required.');
+    if (!voiceChannel) throw new VoiceError('NO_VOICE_CHANNEL');
     
     const guildId = voiceChannel.guild.id;
     let queue = this.queues.get(guildId);
     
     if (!queue) {
-      queue = this._createQueue(voiceChannel, options);
+      const { alwaysOn, ...settings } = await this.getSettings(guildId);
+      if (alwaysOn) this.presence.setAlwaysOn(guildId);
+      queue = this._createQueue(voiceChannel, { ...settings, ...options });
     }
     
     try {
+      let songInfo = song;
+      
       if (typeof song === 'string') {
-        const songInfo = await this._resolveSong(song);
-        await queue.addSong(songInfo, options.member || null);
-      } else {
-        await queue.addSong(song, options.member || null);
+        songInfo = await this._resolveSong(song, queue, options);
+        if (!songInfo) return queue;
       }
       
+      await queue.addSong(songInfo, options.member || null, {
+        position: options.playNext ? queue.currentIndex + 1 : options.position
+      });
+      
       if (!queue.playing && !queue.paused) {
         await queue.play();
       }
       
+      if (songInfo instanceof Playlist && typeof songInfo.loadMore === 'function') {
+        this._loadMore(queue, songInfo, options.member || null);
+      }
+      
       return queue;
     } catch (error) {
       this.emit('error', queue, error);
@@ -132,685 +852,5237 @@ class Hetubed extends EventEmitter {
   }
   
   /**
-   * Get the queue for a guild
-   * @param {string} guildId Guild ID
-   * @returns {Queue|undefined}
-   */
-  getQueue(guildId) {
-    return this.queues.get(guildId);
-  }
-  
-  /**
-   * Create a new queue for a guild
-   * @param {VoiceChannel|StageChannel} voiceChannel Voice channel
-   * @param {PlayOptions} options Play options
-   * @returns {Queue}
+   * Add the songs of a playlist that were not loaded with its first page behind them, while
+   * the queue is already playing
+   * @param {Queue} queue Queue the playlist was added to
+   * @param {Playlist} playlist Playlist with a `loadMore` function
+   * @param {GuildMember|null} member Member who added the playlist
+   * @returns {Promise<void>}
    * @private
    */
-  _createQueue(voiceChannel, options = {}) {
-    const guildId = voiceChannel.guild.id;
-    
-    if (this.queues.has(guildId)) {
-      return this.queues.get(guildId);
-    }
+  async _loadMore(queue, playlist, member) {
+    const last = playlist.songs[playlist.songs.length - 1];
+    
+    try {
+      let rest;
+      try {
+        rest = await playlist.loadMore();
+      } catch (error) {
+        throw toResolveError(error);
+      }
+      
+      if (this.queues.get(queue.guildId) !== queue || !rest || !rest.length) return;
+      
+      rest = this._normalizeResult(rest, this.getExtractor(playlist.source));
+      
+      // Songs added meanwhile stay behind the whole playlist
+      let index = queue.songs.length - 1;
+      while (index >= 0 && queue.songs[index].url !== last.url) index--;
+      
+      await queue.addSong(new Playlist({ ...playlist, songs: rest, loadMore: null }), member, {
+        position: index >= 0 ? index + 1 : undefined,
+        silent: true
+      });
+      
+      playlist.songs = [...playlist.songs, ...rest];
+      playlist.loadMore = null;
+      this.emit('playlistLoad', queue, playlist);
+    } catch (error) {
+      this.emit('error', queue, error);
+    }
+  }
+  
+  /**
+   * Empty the resolve cache
+   * @returns {Promise<void>}
+   */
+  async clearCache() {
+    if (this.cache) await this.cache.clear();
+  }
+  
+  /**
+   * Get the current queue, stream and resolve statistics
+   * @returns {HetubedStats}
+   */
+  stats() {
+    const queues = [...this.queues.values()];
+    const metrics = this._metrics;
+    
+    return {
+      queues: queues.length,
+      playing: queues.filter(queue => queue.playing && !queue.paused).length,
+      paused: queues.filter(queue => queue.playing && queue.paused).length,
+      songs: queues.reduce((total, queue) => total + queue.songs.length, 0),
+      resolves: {
+        ytdl: metrics.resolves.ytdl.toJSON(),
+        ytpl: metrics.resolves.ytpl.toJSON(),
+        ytsr: metrics.resolves.ytsr.toJSON()
+      },
+      streamErrors: metrics.streamErrors,
+      streamRetries: metrics.streamRetries,
+      streamFailures: metrics.streamFailures,
+      liveReconnects: metrics.liveReconnects,
+      voiceReconnects: metrics.voiceReconnects,
+      guilds: queues.map(queue => ({
+        guildId: queue.guildId,
+        playing: queue.playing,
+        paused: queue.paused,
+        songs: queue.songs.length,
+        ...queue.bufferHealth
+      }))
+    };
+  }
+  
+  /**
+   * Get the statistics in the Prometheus text format, e.g. for a `/metrics` endpoint
+   * @returns {string}
+   */
+  metrics() {
+    return toPrometheus(this.stats());
+  }
+  
+  /**
+   * Time a call to one of the YouTube libraries for the resolve latency histograms
+   * @param {string} name Library called, `ytdl`, `ytpl` or `ytsr`
+   * @param {function(): Promise<*>} call The call
+   * @returns {Promise<*>} Result of the call
+   * @private
+   */
+  async _measure(name, call) {
+    const start = Date.now();
+    let failed = false;
+    
+    try {
+      return await call();
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      this._metrics.resolves[name].observe((Date.now() - start) / 1000, failed);
+    }
+  }
+  
+  /**
+   * Get the queue for a guild
+   * @param {string} guildId Guild ID
+   * @returns {Queue|undefined}
+   */
+  getQueue(guildId) {
+    return this.queues.get(guildId);
+  }
+  
+  /**
+   * Set the DJ roles and users of a guild
+   * @param {string} guildId Guild ID
+   * @param {DJSettings} settings Role and user IDs allowed to control the queue
+   * @returns {Hetubed}
+   */
+  setDJ(guildId, { roles = [], users = [] } = {}) {
+    this.djs.set(guildId, { roles: [...roles], users: [...users] });
+    return this;
+  }
+  
+  /**
+   * Get the DJ roles and users of a guild, falling back to the ones of the options
+   * @param {string} guildId Guild ID
+   * @returns {DJSettings}
+   */
+  getDJ(guildId) {
+    return this.djs.get(guildId) || { roles: this.options.djRoles, users: this.options.djUsers };
+  }
+  
+  /**
+   * Whether a member is a DJ of their guild. Members who can manage the guild always are.
+   * @param {GuildMember} member Guild member
+   * @returns {boolean}
+   */
+  isDJ(member) {
+    if (!member) return false;
+    if (member.permissions?.has?.('ManageGuild')) return true;
+    
+    const { roles, users } = this.getDJ(member.guild?.id);
+    
+    return users.includes(member.id) ||
+      roles.some(role => member.roles?.cache?.has(role));
+  }
+  
+  /**
+   * Set the blocklist of a guild
+   * @param {string} guildId Guild ID
+   * @param {Blocklist} blocklist Blocked title keywords and uploader channels
+   * @returns {Hetubed}
+   */
+  setBlocklist(guildId, { keywords = [], channels = [] } = {}) {
+    this.blocklists.set(guildId, { keywords: [...keywords], channels: [...channels] });
+    return this;
+  }
+  
+  /**
+   * Get the blocklist of a guild, including the keywords and channels blocked in the options
+   * @param {string} guildId Guild ID
+   * @returns {Blocklist}
+   */
+  getBlocklist(guildId) {
+    const guild = this.blocklists.get(guildId) || { keywords: [], channels: [] };
+    
+    return {
+      keywords: [...this.options.blockedKeywords, ...guild.keywords],
+      channels: [...this.options.blockedChannels, ...guild.channels]
+    };
+  }
+  
+  /**
+   * Enable or disable the 24/7 mode of a guild, in which the bot never leaves on its own.
+   * Saved with the guild settings, so it survives restarts when a settings provider is set
+   * @param {string} guildId Guild ID
+   * @param {boolean} [enabled=true] Whether the mode is enabled
+   * @returns {Hetubed}
+   */
+  setAlwaysOn(guildId, enabled = true) {
+    this.presence.setAlwaysOn(guildId, enabled);
+    if (this.options.settings) this._saveAlwaysOn(guildId);
+    return this;
+  }
+  
+  /**
+   * Whether a guild is in 24/7 mode
+   * @param {string} guildId Guild ID
+   * @returns {boolean}
+   */
+  isAlwaysOn(guildId) {
+    return this.presence.isAlwaysOn(guildId);
+  }
+  
+  /**
+   * Whether age restricted songs may be played for a queue, either allowed by the `nsfw`
+   * option or because its text channel is marked as NSFW
+   * @param {Queue} [queue] Queue to check
+   * @param {TextChannel} [textChannel] Text channel asking, defaults to the one of the queue
+   * @returns {boolean}
+   */
+  allowsNsfw(queue, textChannel = queue?.textChannel) {
+    return !!(this.options.nsfw || textChannel?.nsfw);
+  }
+  
+  /**
+   * Create a new queue for a guild
+   * @param {VoiceChannel|StageChannel} voiceChannel Voice channel
+   * @param {PlayOptions} options Play options
+   * @returns {Queue}
+   * @private
+   */
+  _createQueue(voiceChannel, options = {}) {
+    const guildId = voiceChannel.guild.id;
+    
+    if (this.queues.has(guildId)) {
+      return this.queues.get(guildId);
+    }
     
     const queue = new Queue(this, voiceChannel, options);
     this.queues.set(guildId, queue);
     
-    this.emit('queueCreate', queue);
-    return queue;
+    this.emit('queueCreate', queue);
+    return queue;
+  }
+  
+  /**
+   * Search for songs, asking plugins in registration order before YouTube
+   * @param {string} query Search query
+   * @param {SearchOptions} [options={}] Search options
+   * @returns {Promise<Song[]>}
+   */
+  async search(query, options = {}) {
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new HetubedError('INVALID_QUERY');
+    }
+    
+    const searchOptions = { limit: 10, type: 'video', safeSearch: false, ...options };
+    
+    for (const extractor of this.extractors) {
+      if (typeof extractor.search !== 'function') continue;
+      
+      let results;
+      try {
+        results = await extractor.search(query, searchOptions);
+      } catch (error) {
+        throw toResolveError(error);
+      }
+      
+      const list = Array.isArray(results) ? results : results ? [results] : [];
+      if (!list.length) continue;
+      
+      return this._normalizeResult(list.slice(0, searchOptions.limit), extractor);
+    }
+    
+    return [];
+  }
+  
+  /**
+   * Resolve a song from URL or search query through the plugin pipeline
+   * @param {string} song Song URL or search query
+   * @param {Queue} [queue] Queue the song is resolved for, used by interactive search
+   * @param {PlayOptions} [options={}] Play options
+   * @returns {Promise<Song|Song[]|null>} `null` when an interactive search did not pick a song
+   * @private
+   */
+  async _resolveSong(song, queue, options = {}) {
+    for (const extractor of this.extractors) {
+      if (typeof extractor.validate !== 'function' || typeof extractor.resolve !== 'function') continue;
+      if (!(await extractor.validate(song))) continue;
+      
+      let resolved;
+      try {
+        resolved = await extractor.resolve(song);
+      } catch (error) {
+        throw toResolveError(error);
+      }
+      
+      if (Array.isArray(resolved) || resolved instanceof Playlist) {
+        return this._toPlaylist(resolved, extractor, song);
+      }
+      
+      return this._normalizeResult(resolved, extractor);
+    }
+    
+    if (this.options.searchSongs > 1 && options.textChannel && options.member) {
+      return this._pickSearchResult(song, queue, options);
+    }
+    
+    const [first] = await this.search(song, {
+      limit: 1,
+      safeSearch: !this.allowsNsfw(queue, options.textChannel)
+    });
+    if (!first) {
+      throw new ResolveError('NO_RESULT');
+    }
+    
+    return first;
+  }
+  
+  /**
+   * Let the member who searched choose one of the results by answering with its number
+   * @param {string} query Search query
+   * @param {Queue} queue Queue the song is resolved for
+   * @param {PlayOptions} options Play options, with the text channel and member to listen to
+   * @returns {Promise<Song|null>}
+   * @private
+   */
+  async _pickSearchResult(query, queue, options) {
+    const results = await this.search(query, {
+      limit: this.options.searchSongs,
+      safeSearch: !this.allowsNsfw(queue, options.textChannel)
+    });
+    
+    if (!results.length) {
+      this.emit('searchNoResult', queue, query);
+      return null;
+    }
+    
+    this.emit('searchResult', queue, results, query);
+    
+    const answers = await options.textChannel.awaitMessages({
+      filter: message => message.author.id === options.member.id,
+      max: 1,
+      time: this.options.searchCooldown * 1000,
+    });
+    
+    const answer = answers.first();
+    if (!answer) {
+      this.emit('searchCancel', queue, query);
+      return null;
+    }
+    
+    const index = parseInt(answer.content, 10);
+    if (isNaN(index) || index < 1 || index > results.length) {
+      this.emit('searchInvalidAnswer', queue, answer, query);
+      return null;
+    }
+    
+    this.emit('searchDone', queue, answer, query);
+    return results[index - 1];
+  }
+  
+  /**
+   * Fill in the fields an extractor may have left out of its songs
+   * @param {Song|Song[]} result Song or songs returned by an extractor
+   * @param {HetubedPlugin} extractor Extractor that produced them
+   * @returns {Song|Song[]}
+   * @private
+   */
+  _normalizeResult(result, extractor) {
+    if (Array.isArray(result)) {
+      return result.map(song => this._normalizeResult(song, extractor));
+    }
+    
+    return {
+      id: null,
+      title: 'Unknown',
+      url: null,
+      duration: 0,
+      thumbnail: null,
+      member: null,
+      isLive: false,
+      ageRestricted: false,
+      uploader: null,
+      loudness: null,
+      ...result,
+      source: result.source || extractor.name
+    };
+  }
+  
+  /**
+   * Turn the songs an extractor resolved from a query into a playlist
+   * @param {Song[]|Playlist} resolved Songs, or a playlist from the extractor
+   * @param {Object} extractor Extractor that resolved them
+   * @param {string} query Resolved query, used as URL of a bare list of songs
+   * @returns {Playlist}
+   * @private
+   */
+  _toPlaylist(resolved, extractor, query) {
+    const playlist = resolved instanceof Playlist ? resolved : new Playlist({ url: query, songs: resolved });
+    
+    playlist.songs = this._normalizeResult(playlist.songs, extractor);
+    playlist.source = playlist.source || extractor.name;
+    
+    return playlist;
+  }
+  
+  /**
+   * Resolve an imported song that only has its URL and the metadata of the playlist it came
+   * from, filling in the rest of its fields in place
+   * @param {Song} song Partial song
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _completeSong(song) {
+    const extractor = this.getExtractor(song.source);
+    
+    let resolved;
+    try {
+      resolved = await extractor.resolve(song.url);
+    } catch (error) {
+      throw toResolveError(error);
+    }
+    
+    const [full] = [].concat(this._normalizeResult(resolved, extractor));
+    if (!full) throw new ResolveError('NO_RESULT');
+    
+    const { member, ...fields } = full;
+    Object.assign(song, fields, { partial: false });
+  }
+  
+  /**
+   * Turn an exported playlist back into songs. Their URLs pick the extractor, and they are
+   * only resolved once they are about to play.
+   * @param {string|Object|Array} data Playlist content, or parsed JSON
+   * @param {'json'|'m3u'} [format] Format of the playlist, guessed when omitted
+   * @returns {Promise<Song[]>}
+   */
+  async importPlaylist(data, format) {
+    const text = typeof data === 'string' || Buffer.isBuffer(data) ? String(data).trim() : null;
+    if (!format) {
+      format = text === null || text.startsWith('{') || text.startsWith('[') ? 'json' : 'm3u';
+    }
+    
+    let entries;
+    if (format === 'm3u') {
+      entries = parseM3U(text || '');
+    } else if (format === 'json') {
+      try {
+        const parsed = text === null ? data : JSON.parse(text);
+        entries = Array.isArray(parsed) ? parsed : parsed?.songs;
+      } catch (error) {
+        throw new HetubedError('INVALID_PLAYLIST', error.message, { cause: error });
+      }
+      
+      if (!Array.isArray(entries)) throw new HetubedError('INVALID_PLAYLIST');
+    } else {
+      throw new HetubedError('INVALID_ARGUMENT', `Unknown playlist format "${format}".`);
+    }
+    
+    const songs = [];
+    for (const entry of entries) {
+      if (!entry || typeof entry.url !== 'string') continue;
+      
+      // The file may claim any source, only an extractor validating the URL may stream it
+      const extractor = await this._findExtractor(entry.url);
+      if (!extractor) continue;
+      
+      // Only display fields are kept, the rest comes from resolving the song before it plays
+      const { id = null, title, duration, thumbnail = null, isLive } = entry;
+      songs.push({
+        ...this._normalizeResult({ id, url: entry.url, thumbnail, source: extractor.name }, extractor),
+        title: typeof title === 'string' && title ? title : entry.url,
+        isLive: typeof isLive === 'boolean' ? isLive : duration < 0,
+        duration: Math.max(0, Number(duration) || 0),
+        partial: true
+      });
+    }
+    
+    if (!songs.length) throw new ResolveError('EMPTY_PLAYLIST');
+    
+    return songs;
+  }
+  
+  /**
+   * Find the extractor that handles a URL, without resolving it
+   * @param {string} url URL to check
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async _findExtractor(url) {
+    for (const extractor of this.extractors) {
+      if (typeof extractor.validate !== 'function' || typeof extractor.resolve !== 'function') continue;
+      if (await extractor.validate(url)) return extractor;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Storage adapter of the saved playlists
+   * @returns {Object}
+   * @private
+   */
+  _playlistStorage() {
+    const storage = this.options.playlistStorage || this.options.storage;
+    if (!storage) throw new HetubedError('NO_STORAGE');
+    
+    return storage;
+  }
+  
+  /**
+   * Save a named playlist of a user, replacing the one with the same name
+   * @param {string} userId ID of the user owning the playlist
+   * @param {string} name Playlist name
+   * @param {Song[]|Queue} songs Songs to save, or a queue to save the songs of
+   * @returns {Promise<SavedPlaylist>}
+   */
+  async savePlaylist(userId, name, songs) {
+    if (!userId || typeof name !== 'string' || !name.trim()) {
+      throw new HetubedError('INVALID_ARGUMENT', 'A user ID and a playlist name are required.');
+    }
+    
+    const list = songs instanceof Queue ? songs.songs : songs;
+    if (!Array.isArray(list) || !list.length) throw new ResolveError('EMPTY_PLAYLIST');
+    
+    const playlist = {
+      name: name.trim(),
+      songs: list.map(serializeSong),
+      updatedAt: Date.now()
+    };
+    
+    await this._playlistStorage().set(`playlist:${userId}:${playlist.name}`, playlist);
+    return playlist;
+  }
+  
+  /**
+   * Load a saved playlist of a user, ready to be played
+   * @param {string} userId ID of the user owning the playlist
+   * @param {string} name Playlist name
+   * @returns {Promise<Playlist|null>} Playlist, or `null` when there is no such playlist
+   */
+  async loadPlaylist(userId, name) {
+    const playlist = await this._playlistStorage().get(`playlist:${userId}:${String(name).trim()}`);
+    if (!playlist) return null;
+    
+    return new Playlist({
+      name: playlist.name,
+      songs: await this.importPlaylist(playlist.songs, 'json')
+    });
+  }
+  
+  /**
+   * List the names of the saved playlists of a user
+   * @param {string} userId ID of the user owning the playlists
+   * @returns {Promise<string[]>}
+   */
+  async listPlaylists(userId) {
+    const prefix = `playlist:${userId}:`;
+    const keys = await this._playlistStorage().keys();
+    
+    return keys
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length))
+      .sort();
+  }
+  
+  /**
+   * Delete a saved playlist of a user
+   * @param {string} userId ID of the user owning the playlist
+   * @param {string} name Playlist name
+   * @returns {Promise<void>}
+   */
+  async deletePlaylist(userId, name) {
+    await this._playlistStorage().delete(`playlist:${userId}:${String(name).trim()}`);
+  }
+  
+  /**
+   * Create a readable audio stream for a song using the extractor of its source
+   * @param {Song} song Song to stream
+   * @param {boolean} [fresh=false] Whether cached stream data of the song should be dropped first
+   * @param {Queue} [queue] Queue the song plays in, whose restrictions the song must pass
+   * @param {number} [seek=0] Position the stream should start at, in seconds
+   * @returns {Promise<StreamInfo>}
+   * @private
+   */
+  async _getStream(song, fresh = false, queue = null, seek = 0) {
+    if (song.partial) await this._completeSong(song);
+    
+    // Imported songs were only checked for what their file claimed until now
+    const restriction = queue?._restrictionOf(song);
+    if (restriction) throw new RestrictionError(restriction);
+    
+    const extractor = this.getExtractor(song.source);
+    const handler = typeof extractor.getStream === 'function' ? extractor : this.youtube;
+    let result;
+    try {
+      // Format URLs expire, so a retry must not reuse the ones that just failed
+      if (fresh && typeof handler.invalidate === 'function') {
+        await handler.invalidate(song);
+      }
+      
+      result = await handler.getStream(song, { seek });
+    } catch (error) {
+      const mapped = toResolveError(error);
+      
+      throw mapped.code === 'RESOLVE_FAILED'
+        ? new StreamError('STREAM_FAILED', mapped.message, { cause: error })
+        : mapped;
+    }
+    
+    if (result && typeof result.pipe === 'function') {
+      result = { stream: result };
+    }
+    
+    // An input for ffmpeg to open itself only stands in for a stream when seeking
+    if (!result || !(result.stream || (seek > 0 && typeof result.input === 'string'))) {
+      throw new StreamError('NO_STREAM', `Extractor "${handler.name}" did not return a stream.`);
+    }
+    
+    // Opening the stream may have revealed more about the song, like an age restriction
+    const revealed = queue?._restrictionOf(song);
+    if (revealed) {
+      result.stream?.destroy();
+      throw new RestrictionError(revealed);
+    }
+    
+    return { type: StreamType.Arbitrary, ...result };
+  }
+  
+  /**
+   * Find a song related to another one that is not in the given list
+   * @param {Song} song Song to find a related song for
+   * @param {Song[]} [exclude=[]] Songs that should not be picked again
+   * @param {function(Song): boolean} [accept] Whether a candidate may be picked
+   * @returns {Promise<Song|null>}
+   * @private
+   */
+  async _getRelatedSong(song, exclude = [], accept = () => true) {
+    const extractor = this.getExtractor(song.source);
+    if (typeof extractor.getRelated !== 'function') return null;
+    
+    let candidates;
+    try {
+      candidates = await extractor.getRelated(song);
+    } catch (error) {
+      throw toResolveError(error);
+    }
+    
+    if (!Array.isArray(candidates)) return null;
+    
+    const played = new Set();
+    for (const s of exclude) {
+      if (s.id) played.add(s.id);
+      if (s.url) played.add(s.url);
+    }
+    
+    const related = this._normalizeResult(candidates, extractor)
+      .find(c => !played.has(c.id) && !played.has(c.url) && accept(c));
+    return related || null;
+  }
+  
+  /**
+   * Initialize event handlers - optimized with weak references where possible
+   * @private
+   */
+  _initEventHandlers() {
+    this.client.on('voiceStateUpdate', (oldState, newState) => {
+      const queue = this.getQueue(oldState.guild.id);
+      if (!queue) return;
+      
+      if (oldState.member.id === this.client.user.id && !newState.channelId) {
+        // Removed first, so stopping it does not plan a leave on top of the disconnect
+        this.queues.delete(oldState.guild.id);
+        this.presence.cancel(queue);
+        queue.stop();
+        this.emit('disconnect', queue);
+        return;
+      }
+      
+      const channelId = queue.voiceChannel.id;
+      if (oldState.channelId === channelId || newState.channelId === channelId) {
+        this.presence.update(queue);
+      }
+    });
+  }
+  
+  /**
+   * Save queue snapshots to the storage whenever a queue changes, and drop them once it ends
+   * @private
+   */
+  _initPersistence() {
+    const save = queue => this._scheduleSave(queue);
+    for (const event of PERSIST_EVENTS) {
+      this.on(event, save);
+    }
+    
+    const forget = queue => this._forgetQueue(queue);
+    for (const event of ['stop', 'finish', 'empty', 'disconnect']) {
+      this.on(event, forget);
+    }
+  }
+  
+  /**
+   * Save a queue snapshot shortly, merging bursts of changes into a single write
+   * @param {Queue} queue Queue that changed
+   * @private
+   */
+  _scheduleSave(queue) {
+    if (!queue || !queue.guildId) return;
+    
+    clearTimeout(this._saveTimers.get(queue.guildId));
+    
+    const timer = setTimeout(() => {
+      this._saveTimers.delete(queue.guildId);
+      this._saveQueue(queue);
+    }, 1000);
+    timer.unref?.();
+    
+    this._saveTimers.set(queue.guildId, timer);
+  }
+  
+  /**
+   * Write a queue snapshot to the storage
+   * @param {Queue} queue Queue to save
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveQueue(queue) {
+    clearTimeout(this._saveTimers.get(queue.guildId));
+    this._saveTimers.delete(queue.guildId);
+    
+    if (this.queues.get(queue.guildId) !== queue || !queue.songs.length) return;
+    
+    try {
+      await this.options.storage.set(`queue:${queue.guildId}`, queue.toJSON());
+    } catch (error) {
+      this.emit('error', queue, error);
+    }
+  }
+  
+  /**
+   * Remove the snapshot of a queue that ended
+   * @param {Queue} queue Queue that ended
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _forgetQueue(queue) {
+    clearTimeout(this._saveTimers.get(queue.guildId));
+    this._saveTimers.delete(queue.guildId);
+    
+    try {
+      await this.options.storage.delete(`queue:${queue.guildId}`);
+    } catch (error) {
+      this.emit('error', queue, error);
+    }
+  }
+  
+  /**
+   * Get the saved settings of a guild, used as defaults for its new queues
+   * @param {string} guildId Guild ID
+   * @returns {Promise<GuildSettings>} Saved settings, empty without a settings provider
+   */
+  async getSettings(guildId) {
+    const provider = this.options.settings;
+    if (!provider) return {};
+    
+    try {
+      return (await provider.get(guildId)) || {};
+    } catch (error) {
+      this.emit('error', this.queues.get(guildId), error);
+      return {};
+    }
+  }
+  
+  /**
+   * Get the segments of a song that can be skipped, from the song itself or the segment provider
+   * @param {Song} song Song to get the segments of
+   * @returns {Promise<SkipSegment[]>} Segments sorted by start, empty without a provider
+   */
+  async getSegments(song) {
+    if (Array.isArray(song?.segments)) return song.segments;
+    
+    const provider = this.options.segmentProvider;
+    if (!provider || !song || song.isLive) return [];
+    
+    const fetch = async () => (await provider.getSegments(song)) || [];
+    const segments = this.cache && song.id
+      ? await this.cache.wrap(`segments:${song.source}:${song.id}`, fetch)
+      : await fetch();
+    
+    return segments
+      .filter(segment => segment && segment.end > segment.start)
+      .sort((a, b) => a.start - b.start);
+  }
+  
+  /**
+   * Save the settings of a queue as the defaults of its guild
+   * @param {Queue} queue Queue whose settings changed
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveSettings(queue) {
+    if (!queue || !queue.guildId) return;
+    
+    try {
+      await this.options.settings.set(queue.guildId, queue.settings);
+    } catch (error) {
+      this.emit('error', queue, error);
+    }
+  }
+  
+  /**
+   * Save the 24/7 mode of a guild into its settings, keeping the rest of them
+   * @param {string} guildId Guild ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveAlwaysOn(guildId) {
+    const provider = this.options.settings;
+    
+    try {
+      const saved = (await provider.get(guildId)) || {};
+      await provider.set(guildId, { ...saved, alwaysOn: this.isAlwaysOn(guildId) });
+    } catch (error) {
+      this.emit('error', this.queues.get(guildId), error);
+    }
+  }
+  
+  /**
+   * Recreate the queues saved in the storage, rejoin their voice channels and
+   * resume playback where it stopped. Snapshots whose channel cannot be fetched are kept
+   * for a later call, the bot may just not see the guild yet.
+   * @returns {Promise<Queue[]>} Restored queues
+   */
+  async restoreQueues() {
+    const storage = this.options.storage;
+    if (!storage) throw new HetubedError('NO_STORAGE');
+    
+    const restored = [];
+    const keys = (await storage.keys()).filter(key => key.startsWith('queue:'));
+    
+    for (const key of keys) {
+      const snapshot = await storage.get(key);
+      const voiceChannel = snapshot && await this._fetchChannel(snapshot.voiceChannelId);
+      
+      if (!voiceChannel || !snapshot.songs.length || this.queues.has(voiceChannel.guild.id)) continue;
+      
+      if ((await this.getSettings(voiceChannel.guild.id)).alwaysOn) {
+        this.presence.setAlwaysOn(voiceChannel.guild.id);
+      }
+      
+      const queue = this._createQueue(voiceChannel, {
+        textChannel: await this._fetchChannel(snapshot.textChannelId),
+        volume: snapshot.volume,
+        repeatMode: snapshot.repeatMode,
+        autoplay: snapshot.autoplay,
+        filters: snapshot.filters
+      });
+      
+      const members = voiceChannel.guild.members?.cache;
+      queue.songs = snapshot.songs.map(({ memberId, ...song }) => ({
+        ...song,
+        member: (memberId && members?.get(memberId)) || null
+      }));
+      queue.currentIndex = Math.min(snapshot.currentIndex, queue.songs.length - 1);
+      
+      try {
+        await queue.play(snapshot.position);
+        if (snapshot.paused) queue.pause();
+      } catch (error) {
+        this.emit('error', queue, error);
+      }
+      
+      this.emit('queueRestore', queue);
+      restored.push(queue);
+    }
+    
+    return restored;
+  }
+  
+  /**
+   * Get a channel from the client cache, or from Discord when it is not cached yet
+   * @param {?string} channelId Channel ID
+   * @returns {Promise<?Channel>} The channel, `null` when it cannot be fetched
+   * @private
+   */
+  async _fetchChannel(channelId) {
+    if (!channelId) return null;
+    
+    const cached = this.client.channels.cache.get(channelId);
+    if (cached || typeof this.client.channels.fetch !== 'function') return cached || null;
+    
+    try {
+      return await this.client.channels.fetch(channelId);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Write the snapshot of every queue to the storage now, e.g. before shutting down
+   * @returns {Promise<void>}
+   */
+  async saveQueues() {
+    if (!this.options.storage) throw new HetubedError('NO_STORAGE');
+    
+    await Promise.all([...this.queues.values()].map(queue => this._saveQueue(queue)));
+  }
+  
+  /**
+   * Clean up resources when the process is terminating
+   * @returns {Promise<void>} Resolves once the queue snapshots are written
+   * @private
+   */
+  _cleanup() {
+    const saves = [];
+    
+    for (const [guildId, queue] of this.queues.entries()) {
+      if (this.options.storage) {
+        saves.push(this._saveQueue(queue));
+      }
+      
+      if (queue.connection) {
+        queue.connection.destroy();
+      }
+      
+      this.presence.cancel(queue);
+      clearTimeout(queue._prefetchTimer);
+      queue._discardPrefetch();
+      
+      this.queues.delete(guildId);
+    }
+    
+    process.off('SIGINT', this._boundCleanup);
+    process.off('SIGTERM', this._boundCleanup);
+    
+    return Promise.all(saves).then(() => {});
+  }
+  
+  /**
+   * Destroy the Hetubed instance and clean up resources
+   * @returns {Promise<void>} Resolves once the queue snapshots are written, so a process can
+   * wait for them before exiting
+   */
+  destroy() {
+    const saved = this._cleanup();
+    this.removeAllListeners();
+    return saved;
+  }
+}
+
+/**
+ * Built-in YouTube extractor, implementing the same contract as plugins
+ */
+class YouTubeExtractor {
+  /**
+   * Create a new YouTubeExtractor instance
+   * @param {Hetubed} hetubed Hetubed instance
+   */
+  constructor(hetubed) {
+    this.hetubed = hetubed;
+    this.name = 'youtube';
+  }
+  
+  /**
+   * Check whether a query is a YouTube video or playlist URL
+   * @param {string} query Query to check
+   * @returns {boolean}
+   */
+  validate(query) {
+    return ytdl.validateURL(query) || ytpl.validateID(query);
+  }
+  
+  /**
+   * Resolve a YouTube video or playlist URL. A video URL with a playlist, such as
+   * `watch?v=...&list=...`, resolves to the playlist starting at that video.
+   * @param {string} query Video or playlist URL
+   * @returns {Promise<Song|Playlist>}
+   */
+  async resolve(query) {
+    let params = null;
+    try {
+      params = new URL(query).searchParams;
+    } catch (error) {
+      // A bare playlist ID is not a URL
+    }
+    
+    // Mixes are generated per viewer and cannot be fetched, so only their video is played
+    const list = params?.get('list');
+    if (ytdl.validateURL(query) && (!list || list.startsWith('RD'))) {
+      const id = ytdl.getVideoID(query);
+      return this._cached(`youtube:video:${id}`, async () => this.createSong(await this._getInfo(query)));
+    }
+    
+    const id = await ytpl.getPlaylistID(query);
+    const { maxPlaylistSize, lazyPlaylists } = this.hetubed.options;
+    const limit = maxPlaylistSize > 0 ? maxPlaylistSize : Infinity;
+    
+    const startId = params?.get('v') || null;
+    const index = Math.max(0, (parseInt(params?.get('index'), 10) || 1) - 1);
+    
+    // A lazy playlist starts with the page holding the start video, the rest comes later
+    const firstLimit = lazyPlaylists ? Math.min(limit, index + PLAYLIST_PAGE_SIZE) : limit;
+    const data = await this._getPlaylist(id, firstLimit);
+    
+    let start = startId ? data.songs.findIndex(song => song.id === startId) : -1;
+    if (start < 0) start = Math.min(index, Math.max(0, data.songs.length - 1));
+    
+    const playlist = new Playlist({ ...data, songs: data.songs.slice(start), source: this.name });
+    
+    if (data.songs.length >= firstLimit && firstLimit < limit) {
+      // @distube/ytpl keeps its continuation token to itself, so the rest can only be had by
+      // fetching again with the full limit. The pages past the first are fetched once either way
+      playlist.loadMore = async () => (await this._getPlaylist(id, limit)).songs.slice(firstLimit);
+    }
+    
+    return playlist;
+  }
+  
+  /**
+   * Fetch a playlist with up to `limit` songs, following its pages
+   * @param {string} id Playlist ID
+   * @param {number} limit Maximum number of songs, `Infinity` for all of them
+   * @returns {Promise<Object>} Playlist fields and songs, plain so they can be cached
+   * @private
+   */
+  _getPlaylist(id, limit) {
+    return this._cached(`youtube:playlist:${id}:${limit}`, async () => {
+      const playlist = await this.hetubed._measure('ytpl', () => ytpl(id, { limit }));
+      
+      return {
+        id: playlist.id,
+        name: playlist.title,
+        url: playlist.url,
+        thumbnail: playlist.thumbnail?.url || playlist.items[0]?.thumbnail || null,
+        author: playlist.author ? { id: playlist.author.id, name: playlist.author.name } : null,
+        songs: playlist.items.map(item => this.createSong({
+          ...item,
+          // Playlist item URLs carry the list and index, the short one is the video alone
+          url: item.shortUrl || `https://www.youtube.com/watch?v=${item.id}`,
+          durationSec: parseDuration(item.duration),
+          thumbnails: item.thumbnail ? [{ url: item.thumbnail }] : null
+        }))
+      };
+    });
+  }
+  
+  /**
+   * Get the full info of a video, cached for a shorter time than the metadata since
+   * the format URLs it contains expire
+   * @param {string} url Video URL
+   * @returns {Promise<Object>}
+   * @private
+   */
+  _getInfo(url) {
+    const id = ytdl.getVideoID(url);
+    
+    return this._cached(`youtube:formats:${id}`, async () => {
+      const info = await this.hetubed._measure('ytdl', () => ytdl.getInfo(url));
+      
+      // Only keep what ytdl.downloadFromInfo needs, the rest is large and unused
+      return {
+        full: true,
+        videoDetails: info.videoDetails,
+        formats: info.formats,
+        player_response: {
+          playabilityStatus: info.player_response?.playabilityStatus,
+          playerConfig: { audioConfig: info.player_response?.playerConfig?.audioConfig }
+        },
+        live_chunk_readahead: info.live_chunk_readahead
+      };
+    }, this.hetubed.cache?.formatTtl);
+  }
+  
+  /**
+   * Read a value through the shared cache, or fetch it when caching is disabled
+   * @param {string} key Cache key
+   * @param {function(): Promise<*>} fetch Fetches the value on a miss
+   * @param {number} [ttl] Time to live in seconds
+   * @returns {Promise<*>}
+   * @private
+   */
+  _cached(key, fetch, ttl) {
+    const cache = this.hetubed.cache;
+    return cache ? cache.wrap(key, fetch, ttl) : fetch();
+  }
+  
+  /**
+   * Search YouTube for videos or playlists
+   * @param {string} query Search query
+   * @param {SearchOptions} [options={}] Search options
+   * @returns {Promise<Song[]>}
+   */
+  async search(query, options = {}) {
+    const { limit = 1, type = 'video', safeSearch = false } = options;
+    const key = `youtube:search:${type}:${safeSearch ? 1 : 0}:${limit}:${query.trim().toLowerCase()}`;
+    
+    return this._cached(key, async () => {
+      const searchResults = await this.hetubed._measure('ytsr', () => ytsr(query, { limit, type, safeSearch }));
+      
+      return searchResults.items
+        .filter(item => item.type === type)
+        .map(item => ({
+          id: item.id,
+          title: item.name,
+          url: item.url,
+          duration: type === 'video' ? parseDuration(item.duration) : 0,
+          thumbnail: item.thumbnail || null,
+          member: null,
+          source: this.name,
+          isLive: !!item.isLive,
+          ageRestricted: false,
+          uploader: item.author ? { id: item.author.channelID, name: item.author.name } : null
+        }));
+    });
+  }
+  
+  /**
+   * Get the videos YouTube lists as related to a song
+   * @param {Song} song Song to find related videos for
+   * @returns {Promise<Song[]>}
+   */
+  async getRelated(song) {
+    const id = ytdl.getVideoID(song.url);
+    
+    return this._cached(`youtube:related:${id}`, async () => {
+      const info = await this.hetubed._measure('ytdl', () => ytdl.getBasicInfo(song.url));
+      
+      return (info.related_videos || []).map(video => this.createSong({
+        id: video.id,
+        title: video.title,
+        url: `https://www.youtube.com/watch?v=${video.id}`,
+        durationSec: video.length_seconds,
+        thumbnails: video.thumbnails,
+        isLive: video.isLive,
+        author: video.author
+      }));
+    });
+  }
+  
+  /**
+   * Create a WebM/Opus stream for a YouTube song. When seeking, ffmpeg is given the format URL
+   * instead, so it requests the position rather than downloading everything before it.
+   * @param {Song} song Song to stream
+   * @param {Object} [options={}] Stream options
+   * @param {number} [options.seek=0] Position to start at, in seconds
+   * @returns {Promise<StreamInfo>}
+   */
+  async getStream(song, { seek = 0 } = {}) {
+    const info = await this._getInfo(song.url);
+    
+    // Search results and playlist items cannot tell, the full info is the first to know
+    song.ageRestricted = !!info.videoDetails?.age_restricted;
+    if (typeof song.loudness !== 'number') song.loudness = this._loudness(info);
+    
+    if (song.isLive) {
+      // Live streams are only served as HLS, which comes muxed in MPEG-TS
+      const stream = ytdl.downloadFromInfo(info, {
+        ...this.hetubed.options.ytdlOptions,
+        filter: format => format.isHLS && format.hasAudio,
+        quality: 'lowest',
+        liveBuffer: 4000,
+      });
+      
+      return { stream, type: StreamType.Arbitrary };
+    }
+    
+    if (seek > 0) {
+      const format = ytdl.chooseFormat(info.formats, this.hetubed.options.ytdlOptions);
+      return { input: format.url, type: StreamType.Arbitrary };
+    }
+    
+    const stream = ytdl.downloadFromInfo(info, {
+      ...this.hetubed.options.ytdlOptions,
+      liveBuffer: 4000,
+    });
+    
+    return { stream, type: StreamType.WebmOpus };
+  }
+  
+  /**
+   * Check whether a live song is still broadcasting, bypassing the cache
+   * @param {Song} song Live song
+   * @returns {Promise<boolean>}
+   */
+  async checkLive(song) {
+    const info = await this.hetubed._measure('ytdl', () => ytdl.getBasicInfo(song.url));
+    const live = !!info.videoDetails.liveBroadcastDetails?.isLiveNow;
+    
+    // The cached formats of a broadcast that restarted may point at the old one
+    if (live) await this.invalidate(song);
+    
+    return live;
+  }
+  
+  /**
+   * Drop the cached formats of a song, so its next stream uses fresh format URLs
+   * @param {Song} song Song to forget the formats of
+   * @returns {Promise<void>}
+   */
+  async invalidate(song) {
+    if (!this.hetubed.cache) return;
+    
+    await this.hetubed.cache.delete(`youtube:formats:${ytdl.getVideoID(song.url)}`);
+  }
+  
+  /**
+   * Loudness YouTube reports for a video, relative to its reference level
+   * @param {Object} info YouTube video info
+   * @returns {?number} Loudness in dB, `null` when unknown
+   * @private
+   */
+  _loudness(info) {
+    return info.player_response?.playerConfig?.audioConfig?.loudnessDb ??
+      info.formats?.find(format => typeof format.loudnessDb === 'number')?.loudnessDb ?? null;
+  }
+  
+  /**
+   * Create a song object from YouTube info - optimized to extract only what we need
+   * @param {Object} info YouTube video info
+   * @returns {Song}
+   */
+  createSong(info) {
+    if (info.videoDetails) {
+      const thumbnails = info.videoDetails.thumbnails;
+      const isLive = !!info.videoDetails.liveBroadcastDetails?.isLiveNow;
+      return {
+        id: info.videoDetails.videoId,
+        title: info.videoDetails.title,
+        url: info.videoDetails.video_url || `https://www.youtube.com/watch?v=${info.videoDetails.videoId}`,
+        duration: isLive ? 0 : parseInt(info.videoDetails.lengthSeconds),
+        thumbnail: thumbnails ? thumbnails[thumbnails.length - 1].url : null,
+        member: null,
+        source: this.name,
+        isLive,
+        loudness: this._loudness(info),
+        ageRestricted: !!info.videoDetails.age_restricted,
+        uploader: info.videoDetails.author
+          ? { id: info.videoDetails.author.id, name: info.videoDetails.author.name }
+          : null
+      };
+    } else {
+      const thumbnails = info.thumbnails;
+      return {
+        id: info.id,
+        title: info.title,
+        url: info.url,
+        duration: parseInt(info.durationSec || 0),
+        thumbnail: thumbnails ? thumbnails[thumbnails.length - 1].url : null,
+        member: null,
+        source: this.name,
+        isLive: !!info.isLive,
+        ageRestricted: false,
+        uploader: info.author
+          ? { id: info.author.channelID || info.author.id || null, name: info.author.name }
+          : null
+      };
+    }
+  }
+}
+
+/**
+ * Built-in extractor for direct HTTP(S) audio URLs and Icecast radios, disabled unless the
+ * `httpStreams` option is set. Every request goes through `httpGet`, which refuses hosts resolving
+ * to private addresses, redirects included. HLS playlists are refused, ffmpeg would fetch their
+ * segments without that check
+ */
+class HTTPExtractor {
+  /**
+   * Create a new HTTPExtractor instance
+   * @param {Hetubed} hetubed Hetubed instance
+   */
+  constructor(hetubed) {
+    this.hetubed = hetubed;
+    this.name = 'http';
+  }
+  
+  /**
+   * Check whether a query is an HTTP(S) URL
+   * @param {string} query Query to check
+   * @returns {boolean}
+   */
+  validate(query) {
+    return !!this.hetubed.options.httpStreams && /^https?:\/\/\S+$/i.test(query);
+  }
+  
+  /**
+   * Probe an audio URL and describe it as a song
+   * @param {string} url Audio URL
+   * @returns {Promise<Song>}
+   */
+  async resolve(url) {
+    const response = await httpGet(url, { publicOnly: true });
+    url = response.url;
+    
+    // ffmpeg would fetch the playlist and its segments itself, past the private address check
+    const type = String(response.headers['content-type'] || '');
+    if (/mpegurl/i.test(type) || /\.m3u8?(\?|$)/i.test(new URL(url).pathname)) {
+      response.destroy();
+      throw new ResolveError('HLS_NOT_SUPPORTED');
+    }
+    
+    // The checked response is probed, ffmpeg never resolves the host again
+    const info = await probe(response);
+    const icyName = response.headers['icy-name'];
+    const fileName = decodeURIComponent(path.basename(new URL(url).pathname));
+    
+    return {
+      id: url,
+      title: info.title || icyName || fileName || url,
+      url,
+      duration: info.duration || 0,
+      thumbnail: null,
+      member: null,
+      source: this.name,
+      streamType: streamTypeFor(info),
+      isLive: !!(info.icy || icyName || response.headers['icy-metaint'])
+    };
+  }
+  
+  /**
+   * Check whether a radio still answers
+   * @param {Song} song Live song
+   * @returns {Promise<boolean>}
+   */
+  async checkLive(song) {
+    try {
+      const response = await httpGet(song.url, { publicOnly: true });
+      response.destroy();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  /**
+   * Open the audio stream of a URL
+   * @param {Song} song Song to stream
+   * @returns {Promise<StreamInfo>}
+   */
+  async getStream(song) {
+    const stream = await httpGet(song.url, { publicOnly: true });
+    return { stream, type: song.streamType || StreamType.Arbitrary };
+  }
+}
+
+/**
+ * Built-in extractor for local audio files, disabled unless the `localFiles` option names the
+ * folder, or the list of folders, files may be played from
+ */
+class FileExtractor {
+  /**
+   * Create a new FileExtractor instance
+   * @param {Hetubed} hetubed Hetubed instance
+   */
+  constructor(hetubed) {
+    this.hetubed = hetubed;
+    this.name = 'file';
+  }
+  
+  /**
+   * Check whether a query is an explicit path to a file inside one of the `localFiles` folders
+   * @param {string} query Query to check
+   * @returns {Promise<boolean>}
+   */
+  async validate(query) {
+    return !!(await this._findFile(query));
+  }
+  
+  /**
+   * Probe a local file and describe it as a song
+   * @param {string} query File path or `file://` URL
+   * @returns {Promise<Song>}
+   */
+  async resolve(query) {
+    const file = await this._findFile(query);
+    if (!file) throw new ResolveError('INVALID_URL');
+    
+    const info = await probe(file);
+    
+    return {
+      id: file,
+      title: info.title || path.basename(file, path.extname(file)),
+      url: file,
+      duration: info.duration || 0,
+      thumbnail: null,
+      member: null,
+      source: this.name,
+      streamType: streamTypeFor(info),
+      isLive: false
+    };
+  }
+  
+  /**
+   * Open a local file
+   * @param {Song} song Song to stream
+   * @param {Object} [options={}] Stream options
+   * @param {number} [options.seek=0] Position to start at, in seconds
+   * @returns {Promise<StreamInfo>}
+   */
+  async getStream(song, { seek = 0 } = {}) {
+    // Saved and imported songs name their path too, it is checked again
+    const file = await this._findFile(song.url);
+    if (!file) throw new ResolveError('INVALID_URL');
+    
+    // ffmpeg seeks in a file it opens itself instead of decoding everything before the position
+    if (seek > 0) return { input: file, type: StreamType.Arbitrary };
+    
+    return { stream: fs.createReadStream(file), type: song.streamType || StreamType.Arbitrary };
+  }
+  
+  /**
+   * Find the real path of a file inside one of the `localFiles` folders. Relative paths are
+   * looked up in each folder in turn, and links leading out of the folders are refused
+   * @param {string} query File path or `file://` URL
+   * @returns {Promise<?string>} Real path, `null` when the file is not allowed or missing
+   * @private
+   */
+  async _findFile(query) {
+    const roots = [].concat(this.hetubed.options.localFiles || []).filter(root => typeof root === 'string');
+    if (!roots.length || typeof query !== 'string') return null;
+    if (!/^(file:\/\/|\/|\.{1,2}[\/\\]|[a-z]:[\/\\])/i.test(query)) return null;
+    
+    let target;
+    try {
+      target = query.startsWith('file://') ? fileURLToPath(query) : query;
+    } catch (error) {
+      return null;
+    }
+    
+    for (const root of roots) {
+      try {
+        const realRoot = await fs.promises.realpath(root);
+        const file = await fs.promises.realpath(path.resolve(realRoot, target));
+        const relative = path.relative(realRoot, file);
+        
+        if (relative && !relative.startsWith('..') && !path.isAbsolute(relative) &&
+            (await fs.promises.stat(file)).isFile()) {
+          return file;
+        }
+      } catch (error) {
+        // Missing here, maybe in the next folder
+      }
+    }
+    
+    return null;
+  }
+}
+
+/**
+ * Keep a sample below full scale, bending the peaks above the knee instead of clipping them
+ * @param {number} sample Sample between -1 and 1, or beyond when amplified
+ * @returns {number}
+ */
+function softLimit(sample) {
+  const knee = 0.8;
+  const level = Math.abs(sample);
+  if (level <= knee) return sample;
+  
+  return Math.sign(sample) * (knee + (1 - knee) * Math.tanh((level - knee) / (1 - knee)));
+}
+
+/**
+ * Volume stage for 48kHz stereo s16le PCM with smooth ramps, and a soft limiter while the
+ * volume is above 1 so amplified songs do not clip
+ */
+class GainTransformer extends prism.VolumeTransformer {
+  /**
+   * Create a new GainTransformer
+   * @param {number} [volume=1] Starting volume, 1 is unchanged
+   */
+  constructor(volume = 1) {
+    super({ type: 's16le', volume });
+    
+    this._target = volume;
+    this._step = 0;
+  }
+  
+  /**
+   * Set the volume right away
+   * @param {number} volume Volume, 1 is unchanged
+   */
+  setVolume(volume) {
+    this.volume = volume;
+    this._target = volume;
+    this._step = 0;
+  }
+  
+  /**
+   * Move the volume to a value gradually
+   * @param {number} volume Volume to reach, 1 is unchanged
+   * @param {number} duration Duration of the ramp, in seconds
+   */
+  rampTo(volume, duration) {
+    if (!(duration > 0) || volume === this.volume) {
+      this.setVolume(volume);
+      return;
+    }
+    
+    this._target = volume;
+    this._step = (volume - this.volume) / Math.round(duration * 48000);
+  }
+  
+  /**
+   * Apply the volume to whole stereo frames
+   * @param {Buffer} chunk PCM data
+   * @param {string} encoding Unused
+   * @param {Function} done Callback
+   * @private
+   */
+  _transform(chunk, encoding, done) {
+    // Bytes left over from the last chunk go first, even at unity gain, so frames stay aligned
+    if (this._chunk.length) chunk = Buffer.concat([this._chunk, chunk]);
+    const complete = chunk.length - (chunk.length % 4);
+    this._chunk = chunk.subarray(complete);
+    
+    if (this.volume === 1 && !this._step) {
+      if (complete) this.push(chunk.subarray(0, complete));
+      return done();
+    }
+    
+    // The input may still be referenced upstream, the gain is written to a copy
+    chunk = Buffer.from(chunk.subarray(0, complete));
+    
+    for (let i = 0; i < complete; i += 4) {
+      if (this._step) {
+        this.volume += this._step;
+        
+        if ((this._step > 0 && this.volume >= this._target) || (this._step < 0 && this.volume <= this._target)) {
+          this.volume = this._target;
+          this._step = 0;
+        }
+      }
+      
+      for (let offset = i; offset < i + 4; offset += 2) {
+        let sample = chunk.readInt16LE(offset) / 32768 * this.volume;
+        if (this.volume > 1) sample = softLimit(sample);
+        
+        chunk.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample * 32768))), offset);
+      }
+    }
+    
+    if (complete) this.push(chunk);
+    return done();
+  }
+}
+
+/**
+ * Output stage for 48kHz stereo s16le PCM, passing its input through and adding the PCM of
+ * another stream to it while a crossfade is running
+ */
+class CrossfadeMixer extends Transform {
+  /**
+   * Create a new CrossfadeMixer
+   */
+  constructor() {
+    super();
+    
+    this._source = null;
+    
+    /**
+     * Bytes mixed in from the current source
+     * @type {number}
+     */
+    this.mixed = 0;
+  }
+  
+  /**
+   * Start mixing another PCM stream in, or stop with `null`
+   * @param {Readable|null} source Stream to mix in
+   */
+  mix(source) {
+    this._source = source;
+    this.mixed = 0;
+    
+    // Get the source buffering, it is only read from while mixing
+    source?.read(0);
+  }
+  
+  /**
+   * Add the buffered PCM of the source to a chunk
+   * @param {Buffer} chunk PCM data
+   * @param {string} encoding Unused
+   * @param {Function} done Callback
+   * @private
+   */
+  _transform(chunk, encoding, done) {
+    const source = this._source;
+    
+    if (source && !source.destroyed) {
+      const available = Math.min(chunk.length, source.readableLength);
+      const other = available >= 4 ? source.read(available - (available % 4)) : source.read(0);
+      
+      if (other) {
+        for (let i = 0; i + 1 < other.length && i + 1 < chunk.length; i += 2) {
+          const sum = chunk.readInt16LE(i) + other.readInt16LE(i);
+          chunk.writeInt16LE(Math.max(-32768, Math.min(32767, sum)), i);
+        }
+        
+        this.mixed += other.length;
+      }
+    }
+    
+    this.push(chunk);
+    done();
+  }
+}
+
+/**
+ * Keeps the voice presence of the queues in check: leaves channels that stayed empty and
+ * queues that stayed idle after finishing or stopping, pauses while nobody listens and
+ * resumes once someone is back. Guilds in 24/7 mode are never left.
+ */
+class PresenceManager {
+  /**
+   * Create a new PresenceManager
+   * @param {Hetubed} hetubed Hetubed instance
+   */
+  constructor(hetubed) {
+    this.hetubed = hetubed;
+    
+    /**
+     * IDs of the guilds in 24/7 mode
+     * @type {Set<string>}
+     */
+    this.alwaysOn = new Set();
+    
+    /**
+     * Pending leaves of empty channels, by guild ID
+     * @type {Map<string, Timeout>}
+     * @private
+     */
+    this._emptyTimers = new Map();
+    
+    /**
+     * Pending leaves of finished or stopped queues, by guild ID
+     * @type {Map<string, Timeout>}
+     * @private
+     */
+    this._idleTimers = new Map();
+    
+    /**
+     * IDs of the guilds whose queue was paused because their channel emptied
+     * @type {Set<string>}
+     * @private
+     */
+    this._autoPaused = new Set();
+  }
+  
+  /**
+   * Enable or disable the 24/7 mode of a guild, cancelling its pending leaves when enabled
+   * and planning the leave of an empty channel when disabled
+   * @param {string} guildId Guild ID
+   * @param {boolean} [enabled=true] Whether the mode is enabled
+   */
+  setAlwaysOn(guildId, enabled = true) {
+    if (enabled) {
+      this.alwaysOn.add(guildId);
+      this._clear(this._emptyTimers, guildId);
+      this._clear(this._idleTimers, guildId);
+    } else {
+      this.alwaysOn.delete(guildId);
+      
+      const queue = this.hetubed.queues.get(guildId);
+      if (queue) this.update(queue);
+    }
+  }
+  
+  /**
+   * Whether a guild is in 24/7 mode
+   * @param {string} guildId Guild ID
+   * @returns {boolean}
+   */
+  isAlwaysOn(guildId) {
+    return this.alwaysOn.has(guildId);
+  }
+  
+  /**
+   * React to members joining or leaving the channel of a queue
+   * @param {Queue} queue Queue whose channel changed
+   */
+  update(queue) {
+    if (queue.listeningMembers.length) {
+      this._onListeners(queue);
+    } else {
+      this._onEmpty(queue);
+    }
+  }
+  
+  /**
+   * Pause and plan to leave once the channel of a queue is empty
+   * @param {Queue} queue Queue whose channel emptied
+   * @private
+   */
+  _onEmpty(queue) {
+    const { guildId } = queue;
+    const { pauseOnEmpty, leaveOnEmpty, emptyCooldown } = this.hetubed.options;
+    
+    if (pauseOnEmpty && queue.playing && !queue.paused) {
+      queue.pause();
+      this._autoPaused.add(guildId);
+    }
+    
+    // Members moving around must not push the leave further out
+    if (!leaveOnEmpty || this.isAlwaysOn(guildId) || this._emptyTimers.has(guildId)) return;
+    
+    this._emptyTimers.set(guildId, setTimeout(() => {
+      this._emptyTimers.delete(guildId);
+      
+      if (!queue.listeningMembers.length) this.leave(queue, 'empty');
+    }, emptyCooldown * 1000));
+  }
+  
+  /**
+   * Cancel the leave of an empty channel and resume what was paused for it
+   * @param {Queue} queue Queue whose channel has listeners again
+   * @private
+   */
+  _onListeners(queue) {
+    const { guildId } = queue;
+    this._clear(this._emptyTimers, guildId);
+    
+    if (this._autoPaused.delete(guildId) && queue.playing && queue.paused) {
+      queue.resume();
+    }
+  }
+  
+  /**
+   * Plan to leave after a queue finished, with `leaveOnFinish`
+   * @param {Queue} queue Queue that finished
+   */
+  onFinish(queue) {
+    const { leaveOnFinish, leaveOnFinishCooldown } = this.hetubed.options;
+    if (leaveOnFinish) this._scheduleIdle(queue, 'finish', leaveOnFinishCooldown);
+  }
+  
+  /**
+   * Plan to leave after a queue was stopped, with `leaveOnStop`
+   * @param {Queue} queue Queue that was stopped
+   */
+  onStop(queue) {
+    this._autoPaused.delete(queue.guildId);
+    
+    const { leaveOnStop, leaveOnStopCooldown, leaveOnFinish } = this.hetubed.options;
+    
+    // A queue running out of songs stops too, `leaveOnFinish` decides about that one
+    if (!leaveOnStop || (queue._finishing && leaveOnFinish)) return;
+    
+    this._scheduleIdle(queue, 'stop', leaveOnStopCooldown);
+  }
+  
+  /**
+   * Leave an idle queue after a cooldown, unless it plays again before
+   * @param {Queue} queue Idle queue
+   * @param {string} reason Why the queue is idle
+   * @param {number} cooldown Seconds to wait, 0 leaves right away
+   * @private
+   */
+  _scheduleIdle(queue, reason, cooldown) {
+    const { guildId } = queue;
+    if (this.isAlwaysOn(guildId) || this.hetubed.queues.get(guildId) !== queue) return;
+    
+    this._clear(this._idleTimers, guildId);
+    
+    if (!(cooldown > 0)) {
+      this.leave(queue, reason);
+      return;
+    }
+    
+    this._idleTimers.set(guildId, setTimeout(() => {
+      this._idleTimers.delete(guildId);
+      
+      if (!queue.playing) this.leave(queue, reason);
+    }, cooldown * 1000));
+  }
+  
+  /**
+   * Cancel the idle leave of a queue that plays again
+   * @param {Queue} queue Queue starting to play
+   */
+  clearIdle(queue) {
+    this._clear(this._idleTimers, queue.guildId);
+  }
+  
+  /**
+   * Cancel every pending leave of a queue
+   * @param {Queue} queue Queue to forget
+   */
+  cancel(queue) {
+    this._clear(this._emptyTimers, queue.guildId);
+    this._clear(this._idleTimers, queue.guildId);
+    this._autoPaused.delete(queue.guildId);
+  }
+  
+  /**
+   * Stop a queue, leave its channel and remove it
+   * @param {Queue} queue Queue to leave
+   * @param {'empty'|'finish'|'stop'} reason Why the queue is left, `empty` also emits `empty`
+   */
+  leave(queue, reason) {
+    const { hetubed } = this;
+    this.cancel(queue);
+    
+    if (hetubed.queues.get(queue.guildId) !== queue) return;
+    
+    // Removed first, so stopping it does not plan another leave
+    hetubed.queues.delete(queue.guildId);
+    
+    if (queue.playing || queue.songs.length) queue.stop();
+    queue.connection?.destroy();
+    
+    if (reason === 'empty') hetubed.emit('empty', queue);
+    hetubed.emit('leave', queue, reason);
+  }
+  
+  /**
+   * Clear the timer of a guild
+   * @param {Map<string, Timeout>} timers Timers by guild ID
+   * @param {string} guildId Guild ID
+   * @private
+   */
+  _clear(timers, guildId) {
+    clearTimeout(timers.get(guildId));
+    timers.delete(guildId);
+  }
+}
+
+/**
+ * Represents a guild queue with optimized resource usage
+ */
+class Queue extends EventEmitter {
+  /**
+   * Create a new Queue instance
+   * @param {Hetubed} hetubed Hetubed instance
+   * @param {VoiceChannel|StageChannel} voiceChannel Voice channel
+   * @param {PlayOptions} options Play options
+   */
+  constructor(hetubed, voiceChannel, options = {}) {
+    super();
+    
+    /**
+     * Hetubed instance
+     * @type {Hetubed}
+     */
+    this.hetubed = hetubed;
+    
+    /**
+     * Discord.js voice channel
+     * @type {VoiceChannel|StageChannel}
+     */
+    this.voiceChannel = voiceChannel;
+    
+    /**
+     * Discord.js text channel for sending notifications
+     * @type {TextChannel|null}
+     */
+    this.textChannel = options.textChannel || null;
+    
+    /**
+     * Guild ID
+     * @type {string}
+     */
+    this.guildId = voiceChannel.guild.id;
+    
+    /**
+     * Whether the queue is playing
+     * @type {boolean}
+     */
+    this.playing = false;
+    
+    /**
+     * Whether the queue is paused
+     * @type {boolean}
+     */
+    this.paused = false;
+    
+    /**
+     * Songs in the queue
+     * @type {Song[]}
+     */
+    this.songs = [];
+    
+    /**
+     * Previously played songs - using a limited array to avoid memory bloat
+     * @type {Song[]}
+     */
+    this.previousSongs = [];
+    
+    /**
+     * Maximum number of previous songs to keep
+     * @type {number}
+     */
+    this.maxPreviousSongs = hetubed.options.maxPreviousSongs;
+    
+    /**
+     * Current song index
+     * @type {number}
+     */
+    this.currentIndex = 0;
+    
+    /**
+     * Voice connection
+     * @type {VoiceConnection}
+     */
+    this.connection = null;
+    
+    /**
+     * Audio player
+     * @type {AudioPlayer}
+     */
+    this.player = createAudioPlayer();
+    
+    /**
+     * Queue options
+     * @type {PlayOptions}
+     */
+    this.options = {
+      autoplay: false,
+      volume: 50,
+      filters: [],
+      repeatMode: 0, // 0: disabled, 1: repeat song, 2: repeat queue
+      crossfade: hetubed.options.crossfade,
+      fadeIn: hetubed.options.fadeIn,
+      fadeOut: hetubed.options.fadeOut,
+      skipCategories: hetubed.options.skipCategories,
+      ...options
+    };
+    // Filters also come back from settings and snapshots, where they may have been edited
+    this.options.filters = (this.options.filters || []).filter(filter => this._isAllowedFilter(filter));
+    
+    /**
+     * Current stream reference to allow cleanup
+     * @type {Object|null}
+     * @private
+     */
+    this._currentStream = null;
+    
+    /**
+     * Current transcoder process
+     * @type {Object|null} 
+     * @private
+     */
+    this._transcoder = null;
+    
+    /**
+     * Set while the queue stops the player itself, so the Idle handler does not skip again
+     * @type {boolean}
+     * @private
+     */
+    this._ignoreIdle = false;
+    
+    /**
+     * Position the current resource started at, in seconds
+     * @type {number}
+     * @private
+     */
+    this._seekOffset = 0;
+    
+    /**
+     * Speed the filters of the current resource play the song at
+     * @type {number}
+     * @private
+     */
+    this._tempo = 1;
+    
+    /**
+     * Incremented on every stream start so stale ones can be discarded
+     * @type {number}
+     * @private
+     */
+    this._streamAttempt = 0;
+    
+    /**
+     * Pending connection attempt, shared by every caller of connect()
+     * @type {Promise<VoiceConnection>|null}
+     * @private
+     */
+    this._connecting = null;
+    
+    /**
+     * Connection awaited by the play() call that will start the current song
+     * @type {Promise<VoiceConnection>|null}
+     * @private
+     */
+    this._starting = null;
+    
+    /**
+     * Song whose failed stream is being retried
+     * @type {Song|null}
+     * @private
+     */
+    this._recovering = null;
+    
+    /**
+     * Retries used on the current song, reset when a song starts from play()
+     * @type {number}
+     * @private
+     */
+    this._streamRetries = 0;
+    
+    /**
+     * Stream of the upcoming song, created shortly before the current one ends
+     * @type {{song: Song, stream: Readable, type: StreamType}|null}
+     * @private
+     */
+    this._prefetched = null;
+    
+    /**
+     * Timer that starts prefetching the upcoming song
+     * @type {Timeout|null}
+     * @private
+     */
+    this._prefetchTimer = null;
+    
+    /**
+     * Song whose stream is being prefetched right now
+     * @type {Song|null}
+     * @private
+     */
+    this._prefetching = null;
+    
+    /**
+     * Interval checking the current live stream for stalls
+     * @type {Interval|null}
+     * @private
+     */
+    this._liveWatch = null;
+    
+    /**
+     * Set while reconnecting to a live stream
+     * @type {boolean}
+     * @private
+     */
+    this._liveRecovering = false;
+    
+    /**
+     * IDs of the members who voted to skip the current song
+     * @type {Set<string>}
+     * @private
+     */
+    this._skipVotes = new Set();
+    
+    /**
+     * Song the skip votes are for
+     * @type {Song|null}
+     * @private
+     */
+    this._skipVotesSong = null;
+    
+    /**
+     * Opus decoder of the current song, when it is not decoded by ffmpeg
+     * @type {Transform|null}
+     * @private
+     */
+    this._decoder = null;
+    
+    /**
+     * Volume stage of the current song
+     * @type {GainTransformer|null}
+     * @private
+     */
+    this._volume = null;
+    
+    /**
+     * Timeout pausing the player once the pause fade is over
+     * @type {Timeout|null}
+     * @private
+     */
+    this._fadeTimer = null;
+    
+    /**
+     * Output stage of the current song, mixing in the next one during a crossfade
+     * @type {CrossfadeMixer|null}
+     * @private
+     */
+    this._mixer = null;
+    
+    /**
+     * Timeout starting the fade out or the crossfade at the end of the current song
+     * @type {Timeout|null}
+     * @private
+     */
+    this._transitionTimer = null;
+    
+    /**
+     * Crossfade in progress, with the song coming in and its pipeline
+     * @type {Object|null}
+     * @private
+     */
+    this._crossfade = null;
+    
+    /**
+     * Timeout skipping the next segment of the current song
+     * @type {Timeout|null}
+     * @private
+     */
+    this._segmentTimer = null;
+    
+    /**
+     * Song whose segments are being fetched
+     * @type {Song|null}
+     * @private
+     */
+    this._loadingSegments = null;
+    
+    /**
+     * Fetched segments by song, kept off the songs so they are not saved or exported with them
+     * @type {WeakMap<Song, SkipSegment[]>}
+     * @private
+     */
+    this._segments = new WeakMap();
+    
+    /**
+     * Set while the queue moves on from a song that ended, telling its stop apart from a requested one
+     * @type {boolean}
+     * @private
+     */
+    this._finishing = false;
+    
+    this._initPlayerEvents();
+  }
+  
+  /**
+   * Get the current song
+   * @returns {Song|null}
+   */
+  get currentSong() {
+    return this.songs[this.currentIndex] || null;
+  }
+  
+  /**
+   * Set text channel for notifications
+   * @param {TextChannel} channel Discord.js text channel
+   * @returns {Queue}
+   */
+  setTextChannel(channel) {
+    this.textChannel = channel;
+    return this;
+  }
+  
+  /**
+   * Connect to the voice channel and wait until the connection is ready, for up to the
+   * `connectTimeout` option
+   * @returns {Promise<VoiceConnection>}
+   * @throws {VoiceError} VOICE_CONNECT_FAILED when the connection fails or is not ready in time
+   */
+  connect() {
+    if (this._connecting) return this._connecting;
+    if (this.connection) return Promise.resolve(this.connection);
+    
+    this._connecting = this._connect().finally(() => {
+      this._connecting = null;
+    });
+    return this._connecting;
+  }
+  
+  /**
+   * Join the voice channel and wait until the connection is ready
+   * @returns {Promise<VoiceConnection>}
+   * @private
+   */
+  async _connect() {
+    try {
+      this.connection = joinVoiceChannel({
+        channelId: this.voiceChannel.id,
+        guildId: this.guildId,
+        adapterCreator: this.voiceChannel.guild.voiceAdapterCreator,
+        selfDeaf: true,
+      });
+    } catch (error) {
+      throw new VoiceError('VOICE_CONNECT_FAILED', error.message, { cause: error });
+    }
+    
+    this.connection.on(VoiceConnectionStatus.Disconnected, async () => {
+      this.hetubed._metrics.voiceReconnects++;
+      
+      try {
+        // Try to reconnect once
+        await Promise.race([
+          this.connection.rejoin(),
+          new Promise((_, reject) => 
+            setTimeout(() => reject(new Error('Voice connection reconnect timeout')), 5000)
+          )
+        ]);
+      } catch (error) {
+        this.hetubed.emit('error', this, new VoiceError('VOICE_CONNECT_FAILED', error.message, { cause: error }));
+        this.connection.destroy();
+        this.hetubed.queues.delete(this.guildId);
+        this.hetubed.emit('disconnect', this);
+        
+      }
+    });
+    
+    this.connection.subscribe(this.player);
+    
+    const connection = this.connection;
+    try {
+      await entersState(connection, VoiceConnectionStatus.Ready, this.hetubed.options.connectTimeout * 1000);
+    } catch (error) {
+      // A connection stuck signalling would otherwise keep the channel slot taken
+      if (this.connection === connection) this.connection = null;
+      if (connection.state.status !== VoiceConnectionStatus.Destroyed) connection.destroy();
+      throw new VoiceError('VOICE_CONNECT_FAILED', error.message, { cause: error });
+    }
+    
+    return connection;
+  }
+  
+  /**
+   * Add a song to the queue with optimized handling
+   * @param {Song|Song[]|Playlist} song Song, songs or playlist to add
+   * @param {GuildMember} member Guild member who added the song
+   * @param {Object} [options={}] Add options
+   * @param {number} [options.position] Index to insert at, appended when omitted
+   * @param {boolean} [options.silent=false] Whether to skip the `addSong` or `addList` event
+   * @returns {Promise<Queue>}
+   */
+  async addSong(song, member = null, options = {}) {
+    const playlist = song instanceof Playlist ? song
+      : Array.isArray(song) ? new Playlist({ songs: song })
+        : null;
+    
+    const songs = this._applyRestrictions(
+      (playlist ? playlist.songs : [song]).map(s => ({...s, member})),
+      member,
+      !!playlist
+    );
+    
+    let position = this.songs.length;
+    if (options.position !== undefined && options.position !== null) {
+      if (!Number.isInteger(options.position) || options.position < 0) {
+        throw new QueueError('INVALID_POSITION');
+      }
+      
+      position = Math.min(options.position, this.songs.length);
+    }
+    
+    this.songs.splice(position, 0, ...songs);
+    
+    // Inserting before the current song shifts it, unless nothing is left to play
+    if (position <= this.currentIndex && this.currentIndex < this.songs.length - songs.length) {
+      this.currentIndex += songs.length;
+    }
+    
+    this._refreshPrefetch();
+    
+    if (options.silent) return this;
+    
+    if (playlist) {
+      if (this.hetubed.options.emitAddListWhenCreatingQueue || this.songs.length > songs.length) {
+        this.hetubed.emit('addList', this, new Playlist({ ...playlist, songs, member }));
+        
+      }
+      
+      return this;
+    }
+    
+    if (this.hetubed.options.emitAddSongWhenCreatingQueue || this.songs.length > 1) {
+      this.hetubed.emit('addSong', this, songs[0]);
+      
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Get why a song may not be queued under the content restrictions
+   * @param {Song} song Song to check
+   * @returns {string|null} Error code, or `null` when the song is allowed
+   * @private
+   */
+  _restrictionOf(song) {
+    const { options } = this.hetubed;
+    
+    if (song.ageRestricted && !this.hetubed.allowsNsfw(this)) return 'NSFW_NOT_ALLOWED';
+    if (options.maxDuration && song.duration > options.maxDuration) return 'SONG_TOO_LONG';
+    
+    const { keywords, channels } = this.hetubed.getBlocklist(this.guildId);
+    const title = String(song.title || '').toLowerCase();
+    
+    if (keywords.some(keyword => title.includes(String(keyword).toLowerCase()))) {
+      return 'BLOCKED_CONTENT';
+    }
+    
+    const uploader = song.uploader;
+    if (uploader && channels.some(channel =>
+      channel === uploader.id || String(channel).toLowerCase() === String(uploader.name).toLowerCase())) {
+      return 'BLOCKED_CONTENT';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Enforce the content restrictions and queue limits on songs about to be added. A single
+   * song is rejected, a list loses its restricted songs and is cut to fit the limits.
+   * @param {Song[]} songs Songs to add
+   * @param {GuildMember|null} member Member adding them
+   * @param {boolean} isList Whether the songs come from a list
+   * @returns {Song[]} Songs that may be added
+   * @private
+   */
+  _applyRestrictions(songs, member, isList) {
+    const { maxQueueSize, maxSongsPerMember } = this.hetubed.options;
+    let allowed = songs;
+    
+    if (!songs.length) throw new RestrictionError('EMPTY_PLAYLIST');
+    
+    if (isList) {
+      allowed = songs.filter(song => !this._restrictionOf(song));
+      if (!allowed.length) {
+        throw new RestrictionError(this._restrictionOf(songs[0]) || 'EMPTY_PLAYLIST');
+      }
+    } else {
+      const code = this._restrictionOf(songs[0]);
+      if (code) throw new RestrictionError(code);
+    }
+    
+    const upcoming = this.songs.slice(this.currentIndex);
+    
+    if (maxQueueSize) {
+      const room = maxQueueSize - upcoming.length;
+      if (room <= 0) throw new RestrictionError('QUEUE_FULL');
+      
+      allowed = allowed.slice(0, room);
+    }
+    
+    if (maxSongsPerMember && member && !this.hetubed.isDJ(member)) {
+      const room = maxSongsPerMember - upcoming.filter(s => s.member?.id === member.id).length;
+      if (room <= 0) throw new RestrictionError('MEMBER_LIMIT');
+      
+      allowed = allowed.slice(0, room);
+    }
+    
+    return allowed;
+  }
+  
+  /**
+   * Remove songs from the queue. The current song cannot be removed, skip it instead.
+   * @param {number|function(Song, number): boolean} target Index of the song, or a predicate
+   * @param {GuildMember} [member] Member asking, a predicate then only removes the songs they
+   * may remove
+   * @returns {Song[]} Removed songs
+   */
+  remove(target, member) {
+    if (typeof target === 'function') {
+      const removed = [];
+      
+      for (let i = this.songs.length - 1; i >= 0; i--) {
+        if (member && !this.canControl(member, 'remove', this.songs[i])) continue;
+        
+        if (i !== this.currentIndex && target(this.songs[i], i)) {
+          removed.unshift(this._removeAt(i));
+        }
+      }
+      
+      return removed;
+    }
+    
+    if (!Number.isInteger(target) || target < 0 || target >= this.songs.length ||
+        target === this.currentIndex) {
+      throw new QueueError('INVALID_POSITION');
+    }
+    
+    this._assertControl(member, 'remove', this.songs[target]);
+    
+    return [this._removeAt(target)];
+  }
+  
+  /**
+   * Move a song to another position
+   * @param {number} from Current index of the song
+   * @param {number} to Index the song should end up at
+   * @returns {Queue}
+   */
+  move(from, to) {
+    this._checkIndex(from);
+    this._checkIndex(to);
+    if (from === to) return this;
+    
+    const current = this.currentSong;
+    const [song] = this.songs.splice(from, 1);
+    this.songs.splice(to, 0, song);
+    this._trackCurrent(current);
+    this._refreshPrefetch();
+    
+    this.hetubed.emit('songMove', this, song, from, to);
+    return this;
+  }
+  
+  /**
+   * Swap two songs
+   * @param {number} a Index of the first song
+   * @param {number} b Index of the second song
+   * @returns {Queue}
+   */
+  swap(a, b) {
+    this._checkIndex(a);
+    this._checkIndex(b);
+    if (a === b) return this;
+    
+    const current = this.currentSong;
+    [this.songs[a], this.songs[b]] = [this.songs[b], this.songs[a]];
+    this._trackCurrent(current);
+    this._refreshPrefetch();
+    
+    this.hetubed.emit('songMove', this, this.songs[b], a, b);
+    this.hetubed.emit('songMove', this, this.songs[a], b, a);
+    return this;
+  }
+  
+  /**
+   * Remove songs that are already in the queue, keeping the current song
+   * @returns {Song[]} Removed songs
+   */
+  removeDuplicates() {
+    const key = song => song.id || song.url;
+    const seen = new Set();
+    
+    const duplicates = new Set();
+    
+    if (this.currentSong) seen.add(key(this.currentSong));
+    
+    this.songs.forEach((song, index) => {
+      if (index === this.currentIndex) return;
+      
+      const songKey = key(song);
+      if (seen.has(songKey)) {
+        duplicates.add(song);
+      } else {
+        seen.add(songKey);
+      }
+    });
+    
+    return this.remove(song => duplicates.has(song));
+  }
+  
+  /**
+   * Remove every song after the current one
+   * @returns {Song[]} Removed songs
+   */
+  clearUpcoming() {
+    return this.remove((song, index) => index > this.currentIndex);
+  }
+  
+  /**
+   * Remove the song at an index, keeping `currentIndex` on the same song
+   * @param {number} index Index of the song
+   * @returns {Song}
+   * @private
+   */
+  _removeAt(index) {
+    const [song] = this.songs.splice(index, 1);
+    
+    if (index < this.currentIndex) {
+      this.currentIndex--;
+    }
+    
+    this._refreshPrefetch();
+    this.hetubed.emit('songRemove', this, song, index);
+    return song;
+  }
+  
+  /**
+   * Throw if an index does not point at a song in the queue
+   * @param {number} index Index to check
+   * @private
+   */
+  _checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.songs.length) {
+      throw new QueueError('INVALID_POSITION');
+    }
+  }
+  
+  /**
+   * Point `currentIndex` back at the current song after the songs were reordered
+   * @param {Song|null} current Song that was current before reordering
+   * @private
+   */
+  _trackCurrent(current) {
+    if (current) {
+      this.currentIndex = this.songs.indexOf(current);
+    }
+  }
+  
+  /**
+   * Members listening in the voice channel, bots excluded
+   * @returns {GuildMember[]}
+   */
+  get listeningMembers() {
+    const members = this.voiceChannel?.members;
+    if (!members) return [];
+    
+    return [...members.filter(m => !m.user.bot).values()];
+  }
+  
+  /**
+   * Whether a member may run a queue action. DJs may run any, a member alone with the bot
+   * too, and with `requesterControl` the requester of a song may skip or remove it.
+   * @param {GuildMember} member Member asking
+   * @param {'skip'|'stop'|'volume'|'shuffle'|'remove'} action Action to run
+   * @param {Song} [song=this.currentSong] Song the action is about, for skip and remove
+   * @returns {boolean}
+   */
+  canControl(member, action, song = this.currentSong) {
+    if (this.hetubed.isDJ(member)) return true;
+    
+    const listeners = this.listeningMembers;
+    if (listeners.length === 1 && listeners[0].id === member.id) return true;
+    
+    return this.hetubed.options.requesterControl &&
+      (action === 'skip' || action === 'remove') &&
+      !!song?.member && song.member.id === member.id;
+  }
+  
+  /**
+   * Throw when a member is given and may not run a queue action. Calls without a member
+   * are trusted.
+   * @param {GuildMember|undefined} member Member asking
+   * @param {string} action Action to run
+   * @param {Song} [song] Song the action is about
+   * @private
+   */
+  _assertControl(member, action, song) {
+    if (member && !this.canControl(member, action, song)) {
+      throw new QueueError('MISSING_PERMISSIONS');
+    }
+  }
+  
+  /**
+   * Play the current song with fixed buffer handling
+   * @param {number} [startTime=0] Position to start from, in seconds
+   * @returns {Promise<void>}
+   */
+  async play(startTime = 0) {
+    if (!this.songs.length) return;
+    
+    // Calls made while connecting leave the start to the first one, which plays whatever
+    // song is current once the connection is ready
+    if (this._starting) {
+      await this._starting;
+      return;
+    }
+    
+    this._starting = this.connect();
+    try {
+      await this._starting;
+    } finally {
+      this._starting = null;
+    }
+    
+    const song = this.currentSong;
+    if (!song) return;
+    
+    this.playing = true;
+    this.paused = false;
+    this._streamRetries = 0;
+    this.hetubed.presence.clearIdle(this);
+    
+    try {
+      const started = await this._startStream(song, startTime);
+      
+      if (started && (!this.hetubed.options.emitNewSongOnly || this.currentIndex === 0)) {
+        this.hetubed.emit('playSong', this, song);
+        
+      }
+    } catch (error) {
+      this._recoverStream(song, error, startTime);
+    }
+  }
+  
+  /**
+   * Create the audio resource for a song and hand it to the player
+   * @param {Song} song Song to stream
+   * @param {number} [seekTime=0] Position to start from, in seconds
+   * @param {boolean} [fresh=false] Whether to skip the prefetched stream and cached stream data
+   * @returns {Promise<boolean>} Whether the song is still current and started playing
+   * @private
+   */
+  async _startStream(song, seekTime = 0, fresh = false) {
+    this._cleanupStreams();
+    
+    // A live stream always starts at the live edge
+    if (song.isLive) seekTime = 0;
+    
+    const attempt = ++this._streamAttempt;
+    let pipeline = null;
+    
+    if (seekTime === 0 && !fresh) {
+      pipeline = this._takeCrossfade(song);
+    } else {
+      // Seeking or restarting the current song cancels a crossfade into the next one
+      this._discardCrossfade();
+    }
+    
+    if (!pipeline) {
+      const prefetched = seekTime === 0 && !fresh ? this._takePrefetch(song) : null;
+      const source = prefetched || await this.hetubed._getStream(song, fresh, this, seekTime);
+      
+      // Another start or a skip may have happened while the stream was being created
+      if (attempt !== this._streamAttempt || this.currentSong !== song) {
+        source.stream?.destroy();
+        return false;
+      }
+      
+      pipeline = this._buildPipeline(song, source, seekTime);
+    }
+    
+    this._currentStream = pipeline.stream;
+    this._transcoder = pipeline.transcoder;
+    this._decoder = pipeline.decoder;
+    this._volume = pipeline.volume;
+    this._mixer = pipeline.mixer;
+    this._tempo = pipeline.tempo;
+    
+    // A crossfaded song already played for a while in the mix
+    this._seekOffset = seekTime + (pipeline.offset || 0);
+    
+    if (song.isLive) {
+      this._watchLive(song, pipeline.stream);
+    }
+    
+    const resource = createAudioResource(pipeline.output, {
+      inputType: pipeline.type,
+    });
+    
+    this.player.play(resource);
+    this._schedulePrefetch();
+    this._scheduleTransition();
+    this._scheduleSegmentSkip();
+    return true;
+  }
+  
+  /**
+   * Build the audio pipeline of a song from its stream. Opus is passed through untouched
+   * unless filters, a volume other than 100, normalization, fades or crossfade need PCM.
+   * @param {Song} song Song the stream belongs to
+   * @param {StreamInfo} source Stream of the song, or an input for ffmpeg to open when seeking
+   * @param {number} [seekTime=0] Position the stream starts from, in seconds
+   * @returns {AudioPipeline}
+   * @private
+   */
+  _buildPipeline(song, { stream = null, input = null, type = StreamType.Arbitrary }, seekTime = 0) {
+    const pipeline = {
+      stream,
+      transcoder: null,
+      decoder: null,
+      volume: null,
+      mixer: null,
+      output: stream,
+      type: StreamType.Raw,
+      offset: 0,
+      tempo: 1
+    };
+    
+    stream?.on('error', (error) => {
+      // Destroying a replaced stream can surface errors that no longer matter
+      if (stream !== this._currentStream) return;
+      
+      this._recoverStream(song, new StreamError('STREAM_FAILED', error.message, { cause: error }));
+    });
+    
+    const filter = [this._buildFilter(), this._needsLoudnorm(song) && LOUDNORM_FILTER]
+      .filter(Boolean)
+      .join(',');
+    const opus = type === StreamType.WebmOpus || type === StreamType.OggOpus || type === StreamType.Opus;
+    
+    if (input || filter || seekTime > 0 || (!opus && type !== StreamType.Raw)) {
+      // Filters and seeking need ffmpeg, Opus is cheaper to decode without it
+      const args = ['-analyzeduration', '0', '-loglevel', '0'];
+      if (seekTime > 0) args.push('-ss', String(seekTime));
+      
+      // An input ffmpeg opens itself is seeked without reading everything before the position,
+      // a stream on stdin is read and thrown away up to it
+      if (/^https?:/i.test(input || '')) {
+        args.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5');
+      }
+      args.push('-i', input || '-');
+      
+      if (filter) args.push('-af', filter);
+      
+      args.push('-f', 's16le', '-ar', '48000', '-ac', '2');
+      
+      let ffmpeg;
+      try {
+        ffmpeg = new prism.FFmpeg({ args });
+      } catch (error) {
+        stream?.destroy();
+        throw new StreamError('TRANSCODE_FAILED', error.message, { cause: error });
+      }
+      pipeline.transcoder = ffmpeg;
+      pipeline.tempo = tempoOf(filter);
+      
+      ffmpeg.on('error', (error) => {
+        if (ffmpeg !== this._transcoder) return;
+        
+        this._recoverStream(song, new StreamError('TRANSCODE_FAILED', error.message, { cause: error }));
+      });
+      
+      if (input) {
+        // ffmpeg is the source, so the buffer health and live watch read it
+        pipeline.stream = ffmpeg;
+        pipeline.output = ffmpeg;
+      } else {
+        pipeline.output = stream.pipe(ffmpeg);
+      }
+    } else if (opus) {
+      if (type !== StreamType.Opus) {
+        const demuxer = type === StreamType.WebmOpus ? new prism.opus.WebmDemuxer() : new prism.opus.OggDemuxer();
+        pipeline.transcoder = demuxer;
+        pipeline.output = stream.pipe(demuxer);
+      }
+      
+      if (!this._needsVolumeStage(song)) {
+        pipeline.type = StreamType.Opus;
+        return pipeline;
+      }
+      
+      const decoder = new prism.opus.Decoder({ rate: 48000, channels: 2, frameSize: 960 });
+      pipeline.decoder = decoder;
+      
+      decoder.on('error', (error) => {
+        if (decoder !== this._decoder) return;
+        
+        this._recoverStream(song, new StreamError('TRANSCODE_FAILED', error.message, { cause: error }));
+      });
+      
+      pipeline.output = pipeline.output.pipe(decoder);
+    }
+    
+    const volume = this._effectiveVolume(song);
+    const fadeIn = seekTime === 0 ? this.options.fadeIn : 0;
+    
+    pipeline.volume = new GainTransformer(fadeIn > 0 ? 0 : volume);
+    if (fadeIn > 0) pipeline.volume.rampTo(volume, fadeIn);
+    
+    pipeline.mixer = new CrossfadeMixer();
+    pipeline.output = pipeline.output.pipe(pipeline.volume).pipe(pipeline.mixer);
+    
+    return pipeline;
+  }
+  
+  /**
+   * Whether a song has to be decoded to PCM for our volume stage
+   * @param {Song} song Song to check
+   * @returns {boolean}
+   * @private
+   */
+  _needsVolumeStage(song) {
+    const { crossfade, fadeIn, fadeOut } = this.options;
+    
+    return crossfade > 0 || fadeIn > 0 || fadeOut > 0 || this._effectiveVolume(song) !== 1;
+  }
+  
+  /**
+   * Plan the fade out or the crossfade at the end of the current song
+   * @private
+   */
+  _scheduleTransition() {
+    clearTimeout(this._transitionTimer);
+    this._transitionTimer = null;
+    
+    const { crossfade, fadeOut } = this.options;
+    const lead = crossfade || fadeOut;
+    const song = this.currentSong;
+    
+    if (!lead || !song || !song.duration || song.isLive || !this.playing || this.paused ||
+        !this._volume || this._crossfade) return;
+    
+    const delay = Math.max(0, (this._timeLeft(song) - lead) * 1000);
+    
+    this._transitionTimer = setTimeout(() => {
+      this._transitionTimer = null;
+      
+      if (this.options.crossfade > 0) {
+        this._startCrossfade();
+      } else {
+        this._volume?.rampTo(0, Math.min(fadeOut, this._timeLeft(song)));
+      }
+    }, delay);
+  }
+  
+  /**
+   * Start the upcoming song under the end of the current one, fading one out and the other in
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _startCrossfade() {
+    const song = this.currentSong;
+    const next = this._nextSong();
+    const mixer = this._mixer;
+    
+    if (!next || !mixer || song.isLive || next.isLive || this._crossfade) return;
+    
+    let pipeline;
+    try {
+      const source = this._takePrefetch(next) || await this.hetubed._getStream(next, false, this);
+      
+      if (!this.playing || this.currentSong !== song || this._mixer !== mixer) {
+        source.stream.destroy();
+        return;
+      }
+      
+      pipeline = this._buildPipeline(next, source);
+    } catch (error) {
+      // The song still starts the usual way once the current one ends
+      this.hetubed.emit('error', this, error);
+      return;
+    }
+    
+    const seconds = Math.min(this.options.crossfade, Math.max(0.1, this._timeLeft(song)));
+    
+    pipeline.volume.setVolume(0);
+    pipeline.volume.rampTo(this._effectiveVolume(next), seconds);
+    this._volume.rampTo(0, seconds);
+    mixer.mix(pipeline.output);
+    
+    this._crossfade = {
+      song: next,
+      pipeline,
+      mixer,
+      timer: setTimeout(() => this._finishCrossfade(), seconds * 1000)
+    };
+  }
+  
+  /**
+   * Hand over to the incoming song once the crossfade is over
+   * @private
+   */
+  _finishCrossfade() {
+    const crossfade = this._crossfade;
+    if (!crossfade) return;
+    
+    // Nothing is mixed while paused, so wait for the rest of the crossfade
+    if (this.paused) {
+      crossfade.timer = setTimeout(() => this._finishCrossfade(), 250);
+      return;
+    }
+    
+    this._onSongEnd();
+  }
+  
+  /**
+   * Take the pipeline of the song being crossfaded in, if it is the given song
+   * @param {Song} song Song about to start
+   * @returns {AudioPipeline|null}
+   * @private
+   */
+  _takeCrossfade(song) {
+    const crossfade = this._crossfade;
+    if (!crossfade) return null;
+    
+    if (crossfade.song !== song) {
+      this._discardCrossfade();
+      return null;
+    }
+    
+    clearTimeout(crossfade.timer);
+    this._crossfade = null;
+    
+    crossfade.pipeline.offset = crossfade.mixer.mixed / 192000 * crossfade.pipeline.tempo;
+    crossfade.mixer.mix(null);
+    
+    return crossfade.pipeline;
+  }
+  
+  /**
+   * Stop a crossfade and destroy the pipeline of the incoming song
+   * @private
+   */
+  _discardCrossfade() {
+    const crossfade = this._crossfade;
+    if (!crossfade) return;
+    
+    clearTimeout(crossfade.timer);
+    this._crossfade = null;
+    crossfade.mixer.mix(null);
+    
+    const { stream, transcoder, decoder, volume, mixer } = crossfade.pipeline;
+    for (const part of [stream, transcoder, decoder, volume, mixer]) {
+      try {
+        part?.destroy();
+      } catch (err) {
+      }
+    }
+  }
+  
+  /**
+   * Plan the skip of the next segment of the current song in one of the skipped categories
+   * @private
+   */
+  _scheduleSegmentSkip() {
+    clearTimeout(this._segmentTimer);
+    this._segmentTimer = null;
+    
+    const song = this.currentSong;
+    if (!song || song.isLive || !this.playing || this.paused || !this._currentStream) return;
+    
+    const segments = this._segments.get(song);
+    if (!segments) {
+      this._loadSegments(song);
+      return;
+    }
+    
+    const categories = this.options.skipCategories || [];
+    const time = this.currentTime;
+    
+    // Skipping the last half second of a segment is not worth a restart
+    const segment = segments
+      .filter(segment => categories.includes(segment.category) && segment.end - 0.5 > time)
+      .sort((a, b) => a.start - b.start)[0];
+    if (!segment) return;
+    
+    this._segmentTimer = setTimeout(() => {
+      this._segmentTimer = null;
+      this._skipSegment(song, segment);
+    }, Math.max(0, (segment.start - time) / this._tempo * 1000));
+  }
+  
+  /**
+   * Fetch the segments of a song and plan the first skip once they are known
+   * @param {Song} song Song to fetch the segments of
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadSegments(song) {
+    if (this._loadingSegments === song) return;
+    if (!this.hetubed.options.segmentProvider && !Array.isArray(song.segments)) return;
+    this._loadingSegments = song;
+    
+    try {
+      this._segments.set(song, await this.hetubed.getSegments(song));
+    } catch (error) {
+      // Segments are optional, the song plays in full
+      this._segments.set(song, []);
+      this.hetubed.emit('error', this, error);
+    } finally {
+      if (this._loadingSegments === song) this._loadingSegments = null;
+    }
+    
+    if (this.currentSong === song) this._scheduleSegmentSkip();
+  }
+  
+  /**
+   * Seek past a segment, or end the song when the segment runs until its end
+   * @param {Song} song Song the segment belongs to
+   * @param {SkipSegment} segment Segment to skip
+   * @private
+   */
+  _skipSegment(song, segment) {
+    if (this.currentSong !== song || !this.playing || this.paused) return;
+    
+    this.hetubed.emit('segmentSkip', this, song, segment);
+    
+    if (!song.duration || segment.end >= song.duration - 1) {
+      this._onSongEnd();
+    } else {
+      this._restartStream(segment.end);
+    }
+  }
+  
+  /**
+   * Set the segment categories skipped during playback, e.g. `music_offtopic`, `intro` or `outro`
+   * @param {string[]} categories Categories to skip, empty to play songs in full
+   * @returns {Queue}
+   */
+  setSkipCategories(categories) {
+    if (!Array.isArray(categories)) {
+      throw new QueueError('INVALID_ARGUMENT', 'Skip categories must be an array.');
+    }
+    
+    this.options.skipCategories = [...categories];
+    this._scheduleSegmentSkip();
+    return this;
+  }
+  
+  /**
+   * Set the crossfade between songs, in seconds. 0 disables it.
+   * @param {number} seconds Crossfade duration
+   * @returns {Queue}
+   */
+  setCrossfade(seconds) {
+    const crossfade = Math.max(0, Number(seconds) || 0);
+    if (this.options.crossfade === crossfade) return this;
+    
+    this.options.crossfade = crossfade;
+    if (!crossfade) this._discardCrossfade();
+    this._scheduleTransition();
+    
+    this.hetubed.emit('crossfadeChange', this, crossfade);
+    return this;
+  }
+  
+  /**
+   * Set the fade in at the start and the fade out at the end of songs, in seconds
+   * @param {Object} fades Fade durations, 0 disables a fade
+   * @param {number} [fades.fadeIn] Fade in duration
+   * @param {number} [fades.fadeOut] Fade out duration
+   * @returns {Queue}
+   */
+  setFades({ fadeIn = this.options.fadeIn, fadeOut = this.options.fadeOut } = {}) {
+    this.options.fadeIn = Math.max(0, Number(fadeIn) || 0);
+    this.options.fadeOut = Math.max(0, Number(fadeOut) || 0);
+    this._scheduleTransition();
+    
+    this.hetubed.emit('crossfadeChange', this, this.options.crossfade);
+    return this;
+  }
+  
+  /**
+   * Get the song that will play once the current one ends, if it is known already
+   * @returns {Song|null}
+   * @private
+   */
+  _nextSong() {
+    if (this.options.repeatMode === 1) return this.currentSong;
+    
+    return this.songs[this.currentIndex + 1] ||
+      (this.options.repeatMode === 2 ? this.songs[0] : null) ||
+      null;
+  }
+  
+  /**
+   * Plan the prefetch of the upcoming song a few seconds before the current one ends
+   * @private
+   */
+  _schedulePrefetch() {
+    clearTimeout(this._prefetchTimer);
+    this._prefetchTimer = null;
+    
+    const lead = this.hetubed.options.prefetchSeconds;
+    const song = this.currentSong;
+    if (!lead || !song || !song.duration || !this.playing || this.paused) return;
+    
+    const delay = Math.max(0, (this._timeLeft(song) - lead) * 1000);
+    this._prefetchTimer = setTimeout(() => {
+      this._prefetchTimer = null;
+      this._prefetch();
+    }, delay);
+  }
+  
+  /**
+   * Create the stream of the upcoming song so it is buffered when the current one ends
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _prefetch() {
+    const next = this._nextSong();
+    if (!next || next.isLive || this._prefetching === next || this._prefetched?.song === next ||
+        this._crossfade?.song === next) return;
+    
+    this._discardPrefetch();
+    this._prefetching = next;
+    
+    let info;
+    try {
+      info = await this.hetubed._getStream(next, false, this);
+    } catch (error) {
+      // The regular start will try again and report the error
+      return;
+    } finally {
+      if (this._prefetching === next) this._prefetching = null;
+    }
+    
+    if (!this.playing || this._nextSong() !== next || this._prefetched) {
+      info.stream.destroy();
+      return;
+    }
+    
+    info.stream.on('error', () => {
+      if (this._prefetched?.stream === info.stream) this._discardPrefetch();
+    });
+    
+    this._prefetched = { song: next, stream: info.stream, type: info.type };
+  }
+  
+  /**
+   * Hand over the prefetched stream if it belongs to a song
+   * @param {Song} song Song about to be played
+   * @returns {StreamInfo|null}
+   * @private
+   */
+  _takePrefetch(song) {
+    const prefetched = this._prefetched;
+    if (!prefetched || prefetched.song !== song) return null;
+    
+    this._prefetched = null;
+    return { stream: prefetched.stream, type: prefetched.type };
+  }
+  
+  /**
+   * Destroy the prefetched stream
+   * @private
+   */
+  _discardPrefetch() {
+    if (!this._prefetched) return;
+    
+    try {
+      this._prefetched.stream.destroy();
+    } catch (err) {
+    }
+    this._prefetched = null;
+  }
+  
+  /**
+   * Re-plan prefetching after the queue was edited, since the upcoming song may have changed
+   * @private
+   */
+  _refreshPrefetch() {
+    this._syncPrefetch();
+    if (!this._prefetched) this._schedulePrefetch();
+  }
+  
+  /**
+   * Drop the prefetched stream once it no longer belongs to the current or upcoming song
+   * @private
+   */
+  _syncPrefetch() {
+    const song = this._prefetched?.song;
+    if (song && song !== this.currentSong && song !== this._nextSong()) {
+      this._discardPrefetch();
+    }
+  }
+  
+  /**
+   * Restart the current song at a position, e.g. after a seek or a filter change
+   * @param {number} [position=this.currentTime] Position to restart at, in seconds
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restartStream(position = this.currentTime) {
+    const song = this.currentSong;
+    if (!this.playing || !song) return;
+    
+    const wasPaused = this.paused;
+    
+    this._stopPlayer();
+    
+    try {
+      await this._startStream(song, position);
+      if (wasPaused) this._pausePlayer();
+    } catch (error) {
+      this._recoverStream(song, error, position);
+    }
+  }
+  
+  /**
+   * Retry a song whose stream failed with fresh stream data and a growing delay, resuming
+   * where it stopped, and only move on once every retry failed
+   * @param {Song} song Song whose stream failed
+   * @param {Error} error Error of the failed stream
+   * @param {number} [position=this.currentTime] Position to resume at, in seconds
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recoverStream(song, error, position = this.currentTime) {
+    if (this._recovering === song || this._liveRecovering || !this.playing || this.currentSong !== song) return;
+    
+    this.hetubed._metrics.streamErrors++;
+    
+    if (song.isLive) {
+      this._recoverLive(song);
+      return;
+    }
+    
+    this._recovering = song;
+    const wasPaused = this.paused;
+    this._stopPlayer();
+    
+    const { streamRetries, streamRetryDelay } = this.hetubed.options;
+    let lastError = error;
+    
+    try {
+      // The budget is per song, so a stream failing again right after a retry cannot loop forever
+      while (this._streamRetries < streamRetries && isRetryable(lastError)) {
+        const attempt = ++this._streamRetries;
+        this.hetubed._metrics.streamRetries++;
+        this.hetubed.emit('streamRetry', this, song, attempt, lastError);
+        
+        await new Promise(resolve => setTimeout(resolve, streamRetryDelay * 1000 * 2 ** (attempt - 1)));
+        if (!this.playing || this.currentSong !== song) return;
+        
+        try {
+          await this._startStream(song, position, true);
+          if (wasPaused) this._pausePlayer();
+          return;
+        } catch (retryError) {
+          lastError = retryError;
+        }
+        
+        if (!this.playing || this.currentSong !== song) return;
+      }
+      
+      this.hetubed._metrics.streamFailures++;
+      this.hetubed.emit('streamFailed', this, song, lastError);
+      this.hetubed.emit('error', this, lastError);
+      this._onSongEnd(false);
+    } catch (unexpected) {
+      // Nobody awaits the recovery, so a throw here would be an unhandled rejection
+      this.hetubed.emit('error', this, unexpected);
+    } finally {
+      if (this._recovering === song) this._recovering = null;
+    }
+  }
+  
+  /**
+   * Buffer health of the current song: bytes of its stream waiting to be played, whether the
+   * next song is prefetched and the state of the audio player
+   * @type {BufferHealth}
+   */
+  get bufferHealth() {
+    const resource = this.player.state?.resource;
+    
+    return {
+      buffered: this._currentStream?.readableLength || 0,
+      // Opus packets encoded ahead of playback, 20ms each
+      outputFrames: resource?.playStream?.readableLength || 0,
+      prefetched: !!this._prefetched,
+      recovering: !!(this._recovering || this._liveRecovering),
+      status: this.player.state?.status || null
+    };
+  }
+  
+  /**
+   * Playback position of the current song, in seconds. Paused time is not counted.
+   * @type {number}
+   */
+  get currentTime() {
+    if (!this.playing) return 0;
+    
+    // Filters changing the speed play more or less of the song than the time that passed
+    const resource = this.player.state?.resource;
+    return this._seekOffset + (resource ? resource.playbackDuration / 1000 * this._tempo : 0);
+  }
+  
+  /**
+   * Seconds of playback left until a song ends, at the speed of the active filters
+   * @param {Song} song Current song
+   * @returns {number}
+   * @private
+   */
+  _timeLeft(song) {
+    return Math.max(0, song.duration - this.currentTime) / this._tempo;
+  }
+  
+  /**
+   * Playback position of the current song, formatted as `m:ss` or `h:mm:ss`
+   * @type {string}
+   */
+  get formattedCurrentTime() {
+    return formatDuration(this.currentTime);
+  }
+  
+  /**
+   * Seek to a position in the current song
+   * @param {number} time Position in seconds
+   * @returns {Queue}
+   */
+  seek(time) {
+    const song = this.currentSong;
+    if (!this.playing || !song) {
+      throw new QueueError('NOTHING_PLAYING');
+    }
+    
+    if (song.isLive) {
+      throw new QueueError('LIVE_NOT_SEEKABLE');
+    }
+    
+    if (typeof time !== 'number' || isNaN(time) || time < 0 ||
+        (song.duration && time >= song.duration)) {
+      throw new QueueError('INVALID_SEEK');
+    }
+    
+    this._restartStream(time);
+    this.hetubed.emit('seek', this, time);
+    return this;
+  }
+  
+  /**
+   * Volume the current song plays at: the queue volume, with the normalization gain of the
+   * song when normalization is enabled
+   * @param {Song} [song=this.currentSong] Song to get the volume for
+   * @returns {number} Volume, 1 is unchanged
+   * @private
+   */
+  _effectiveVolume(song = this.currentSong) {
+    let volume = this.options.volume / 100;
+    
+    if (this.hetubed.options.normalizeVolume && typeof song?.loudness === 'number') {
+      // YouTube reports how much louder than its reference a video is, louder ones get quieter.
+      // Quiet ones are raised by 6dB at most and the limiter keeps the peaks in check.
+      volume *= Math.min(2, 10 ** (-song.loudness / 20));
+    }
+    
+    return volume;
+  }
+  
+  /**
+   * Whether ffmpeg has to measure the loudness of a song, because it does not come with it.
+   * Only with the `loudnorm` option, as it transcodes every such song
+   * @param {Song} song Song to check
+   * @returns {boolean}
+   * @private
+   */
+  _needsLoudnorm(song) {
+    const { normalizeVolume, loudnorm } = this.hetubed.options;
+    return normalizeVolume && loudnorm && typeof song.loudness !== 'number' && !song.isLive;
+  }
+  
+  /**
+   * Build the ffmpeg `-af` chain for the active filters
+   * @returns {string}
+   * @private
+   */
+  _buildFilter() {
+    const isLive = this.currentSong?.isLive;
+    
+    return this.options.filters
+      .map(filter => this.hetubed.filters[filter] || filter)
+      // Changing the speed of a live stream would drift away from the live edge
+      .filter(chain => !isLive || !/asetrate|atempo/.test(chain))
+      .join(',');
+  }
+  
+  /**
+   * Whether a filter is a preset or a custom `-af` string that is safe to hand to ffmpeg
+   * @param {string} filter Preset name or custom ffmpeg `-af` string
+   * @returns {boolean}
+   * @private
+   */
+  _isAllowedFilter(filter) {
+    return typeof filter === 'string' && (Object.hasOwn(this.hetubed.filters, filter) || isSafeFilter(filter));
+  }
+  
+  /**
+   * Active filters, as preset names or custom ffmpeg `-af` strings
+   * @type {string[]}
+   */
+  get filters() {
+    return [...this.options.filters];
+  }
+  
+  /**
+   * Replace all active filters
+   * @param {string|string[]|null} filters Filter, filters, or a falsy value to clear them
+   * @returns {Queue}
+   */
+  setFilter(filters) {
+    const list = !filters ? [] : Array.isArray(filters) ? filters : [filters];
+    
+    for (const filter of list) {
+      if (!this._isAllowedFilter(filter)) {
+        throw new QueueError('INVALID_FILTER');
+      }
+    }
+    
+    const next = [...new Set(list)];
+    if (next.length === this.options.filters.length &&
+        next.every((filter, i) => filter === this.options.filters[i])) {
+      return this;
+    }
+    
+    this.options.filters = next;
+    this._applyFilters();
+    return this;
+  }
+  
+  /**
+   * Add a filter on top of the active ones
+   * @param {string} filter Preset name or custom ffmpeg `-af` string
+   * @returns {Queue}
+   */
+  addFilter(filter) {
+    if (this.options.filters.includes(filter)) return this;
+    return this.setFilter([...this.options.filters, filter]);
+  }
+  
+  /**
+   * Remove an active filter
+   * @param {string} filter Preset name or custom ffmpeg `-af` string
+   * @returns {Queue}
+   */
+  removeFilter(filter) {
+    if (!this.options.filters.includes(filter)) return this;
+    return this.setFilter(this.options.filters.filter(f => f !== filter));
+  }
+  
+  /**
+   * Notify listeners and restart playback with the new filters
+   * @private
+   */
+  _applyFilters() {
+    this.hetubed.emit('filterChange', this, this.filters);
+    this._restartStream();
+  }
+  
+  /**
+   * Clean up any active streams to prevent memory leaks and resource issues
+   * @private
+   */
+  _cleanupStreams() {
+    if (this._currentStream) {
+      try {
+        this._currentStream.destroy();
+      } catch (err) {
+      }
+      this._currentStream = null;
+    }
+    
+    for (const key of ['_transcoder', '_decoder', '_volume', '_mixer']) {
+      if (!this[key]) continue;
+      
+      try {
+        this[key].destroy();
+      } catch (err) {
+      }
+      this[key] = null;
+    }
+    
+    clearInterval(this._liveWatch);
+    this._liveWatch = null;
+    
+    clearTimeout(this._transitionTimer);
+    this._transitionTimer = null;
+    
+    clearTimeout(this._segmentTimer);
+    this._segmentTimer = null;
+    
+    this._syncPrefetch();
+  }
+  
+  /**
+   * Watch a live stream, reconnecting when it stalls or ends
+   * @param {Song} song Live song
+   * @param {Readable} stream Its stream
+   * @private
+   */
+  _watchLive(song, stream) {
+    const timeout = this.hetubed.options.liveStallTimeout * 1000;
+    let lastData = Date.now();
+    
+    stream.on('data', () => {
+      lastData = Date.now();
+    });
+    stream.on('end', () => {
+      if (stream === this._currentStream) this._recoverLive(song);
+    });
+    
+    this._liveWatch = setInterval(() => {
+      // Nothing is read while paused, so that is not a stall
+      if (this.paused) lastData = Date.now();
+      
+      if (Date.now() - lastData > timeout && stream === this._currentStream) {
+        this._recoverLive(song);
+      }
+    }, Math.min(timeout, 5000));
+  }
+  
+  /**
+   * Reconnect to a live stream that stalled or ended, or move on once the broadcast is over
+   * @param {Song} song Live song
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recoverLive(song) {
+    if (this._liveRecovering || !this.playing || this.currentSong !== song) return;
+    
+    this._liveRecovering = true;
+    this._stopPlayer();
+    
+    const extractor = this.hetubed.getExtractor(song.source);
+    const attempts = this.hetubed.options.liveReconnectAttempts;
+    
+    try {
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        const live = typeof extractor.checkLive === 'function'
+          ? await extractor.checkLive(song).catch(() => true)
+          : true;
+        
+        if (!this.playing || this.currentSong !== song) return;
+        
+        if (!live) {
+          this.hetubed.emit('liveEnded', this, song);
+          this._onSongEnd(false);
+          return;
+        }
+        
+        this.hetubed._metrics.liveReconnects++;
+        
+        try {
+          await this._startStream(song);
+          return;
+        } catch (error) {
+          this.hetubed.emit('error', this, error);
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+        if (!this.playing || this.currentSong !== song) return;
+      }
+      
+      this.hetubed.emit('error', this, new StreamError('LIVE_RECONNECT_FAILED'));
+      this._onSongEnd(false);
+    } finally {
+      this._liveRecovering = false;
+    }
+  }
+  
+  /**
+   * Skip the current song
+   * @param {GuildMember} [member] Member asking, checked against the control policy
+   * @returns {Queue}
+   */
+  skip(member) {
+    this._assertControl(member, 'skip');
+    
+    this._addToHistory(this.currentSong);
+    
+    this.currentIndex++;
+    
+    if (this.currentIndex >= this.songs.length) {
+      if (this.options.repeatMode === 2) {
+        this.currentIndex = 0;
+      } else if (this.options.autoplay && this.songs.length) {
+        this._stopPlayer();
+        this._playRelated();
+        return this;
+      } else {
+        this.stop();
+        return this;
+      }
+    }
+    
+    this._stopPlayer();
+    
+    if (this.playing) {
+      this.play();
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Vote to skip the current song. Skips once enough listeners voted, or right away when the
+   * member may skip on their own.
+   * @param {GuildMember} member Member voting
+   * @returns {VoteSkipResult}
+   */
+  voteSkip(member) {
+    const song = this.currentSong;
+    if (!song) throw new QueueError('NOTHING_PLAYING');
+    
+    const listeners = this.listeningMembers;
+    if (!listeners.some(m => m.id === member.id)) {
+      throw new QueueError('NOT_IN_VOICE');
+    }
+    
+    if (this._skipVotesSong !== song) {
+      this._skipVotes.clear();
+      this._skipVotesSong = song;
+    }
+    
+    if (this._skipVotes.has(member.id)) throw new QueueError('ALREADY_VOTED');
+    this._skipVotes.add(member.id);
+    
+    // Votes of members who left the channel no longer count
+    const votes = listeners.filter(m => this._skipVotes.has(m.id)).length;
+    const required = Math.max(1, Math.ceil(listeners.length * this.hetubed.options.voteSkipThreshold));
+    const skipped = votes >= required || this.canControl(member, 'skip', song);
+    
+    this.hetubed.emit('voteSkipProgress', this, member, votes, required);
+    
+    if (skipped) {
+      this._skipVotes.clear();
+      this._skipVotesSong = null;
+      this.skip();
+    }
+    
+    return { votes, required, skipped };
+  }
+  
+  /**
+   * Stop the current resource without the player's Idle event advancing the queue
+   * @private
+   */
+  _stopPlayer() {
+    this._cleanupStreams();
+    this._ignoreIdle = true;
+    
+    try {
+      // Forced so the player goes Idle right away instead of after its silence padding
+      this.player.stop(true);
+    } catch (error) {
+      this.hetubed.emit('error', this, error);
+    } finally {
+      this._ignoreIdle = false;
+    }
+  }
+  
+  /**
+   * Pause the player once its resource is playing, since the player ignores a pause while it
+   * is still buffering a fresh resource
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _pausePlayer() {
+    const waiting = status => status === AudioPlayerStatus.Buffering || status === AudioPlayerStatus.AutoPaused;
+    if (!waiting(this.player.state.status)) {
+      this.player.pause();
+      return;
+    }
+    
+    // Settles on Playing, or on Idle once the resource is stopped, so nothing is left waiting
+    await new Promise(resolve => {
+      const onStateChange = (oldState, newState) => {
+        if (waiting(newState.status)) return;
+        this.player.off('stateChange', onStateChange);
+        resolve();
+      };
+      this.player.on('stateChange', onStateChange);
+    });
+    
+    // Resumed or stopped while buffering
+    if (this.paused && this.playing) this.player.pause();
+  }
+  
+  /**
+   * Append a song related to the last one in the queue and play it
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _playRelated() {
+    const lastSong = this.songs[this.songs.length - 1];
+    
+    let related = null;
+    try {
+      related = await this.hetubed._getRelatedSong(
+        lastSong,
+        [...this.previousSongs, ...this.songs],
+        candidate => !this._restrictionOf(candidate)
+      );
+    } catch (error) {
+      this.hetubed.emit('error', this, error);
+    }
+    
+    if (!this.playing) return;
+    
+    // Songs added while we were looking take priority over the related one
+    if (this.currentIndex < this.songs.length) {
+      this.play();
+      return;
+    }
+    
+    if (!related) {
+      this.hetubed.emit('noRelated', this);
+      this.stop();
+      return;
+    }
+    
+    this.songs.push({ ...related, member: null });
+    this.currentIndex = this.songs.length - 1;
+    this.play();
+  }
+  
+  /**
+   * Toggle autoplay of related songs when the queue runs out
+   * @returns {boolean} Whether autoplay is now enabled
+   */
+  toggleAutoplay() {
+    this.options.autoplay = !this.options.autoplay;
+    this.hetubed.emit('autoplayChange', this, this.options.autoplay);
+    return this.options.autoplay;
+  }
+  
+  /**
+   * Pause the player
+   * @returns {Queue}
+   */
+  pause() {
+    if (!this.playing || this.paused) return this;
+    
+    const fade = this.hetubed.options.volumeFadeDuration;
+    clearTimeout(this._fadeTimer);
+    
+    if (fade > 0 && this._volume) {
+      // Fade out first, the player only pauses once it is silent
+      this._volume.rampTo(0, fade);
+      this._fadeTimer = setTimeout(() => {
+        this._fadeTimer = null;
+        if (this.paused) this._pausePlayer();
+      }, fade * 1000);
+    } else {
+      this._pausePlayer();
+    }
+    
+    this.paused = true;
+    this._schedulePrefetch();
+    this._scheduleTransition();
+    this._scheduleSegmentSkip();
+    this.hetubed.emit('pause', this);
+    
+    return this;
+  }
+  
+  /**
+   * Resume the player
+   * @returns {Queue}
+   */
+  resume() {
+    if (!this.playing || !this.paused) return this;
+    
+    clearTimeout(this._fadeTimer);
+    this._fadeTimer = null;
+    
+    this.player.unpause();
+    this._volume?.rampTo(this._effectiveVolume(), this.hetubed.options.volumeFadeDuration);
+    this.paused = false;
+    this._schedulePrefetch();
+    this._scheduleTransition();
+    this._scheduleSegmentSkip();
+    this.hetubed.emit('resume', this);
+    
+    return this;
+  }
+  
+  /**
+   * Stop playing and clear the queue
+   * @param {GuildMember} [member] Member asking, checked against the control policy
+   * @returns {Queue}
+   */
+  stop(member) {
+    this._assertControl(member, 'stop');
+    
+    this.playing = false;
+    this.paused = false;
+    
+    this._cleanupStreams();
+    this._discardPrefetch();
+    this._discardCrossfade();
+    clearTimeout(this._prefetchTimer);
+    this._prefetchTimer = null;
+    
+    this.songs = [];
+    this.currentIndex = 0;
+    
+    if (this.player) {
+      this.player.stop(true);
+    }
+    
+    this.hetubed.emit('stop', this);
+    this.hetubed.presence.onStop(this);
+    
+    return this;
+  }
+  
+  /**
+   * Set the volume, fading to it. Above 100 the soft limiter keeps loud songs from clipping.
+   * A song passed through as Opus has no volume stage yet, so the first change away from 100
+   * restarts its stream at the current position, which can be heard as a short gap.
+   * @param {number} volume Volume (0 to the `maxVolume` option, 100 by default)
+   * @param {GuildMember} [member] Member asking, checked against the control policy
+   * @returns {Queue}
+   */
+  setVolume(volume, member) {
+    this._assertControl(member, 'volume');
+    
+    const newVolume = Math.max(0, Math.min(this.hetubed.options.maxVolume, volume));
+    if (this.options.volume === newVolume) return this;
+    
+    this.options.volume = newVolume;
+    
+    if (this._volume && !this.paused) {
+      this._volume.rampTo(this._effectiveVolume(), this.hetubed.options.volumeFadeDuration);
+    } else if (!this._volume && this._currentStream && this._needsVolumeStage(this.currentSong)) {
+      // The song is passed through as Opus, it needs decoding to change its volume
+      this._restartStream();
+    }
+    
+    this.hetubed.emit('volumeChange', this, this.options.volume);
+    return this;
+  }
+  
+  /**
+   * Set repeat mode
+   * @param {number} mode Repeat mode (0: disabled, 1: repeat song, 2: repeat queue)
+   * @returns {Queue}
+   */
+  setRepeatMode(mode) {
+    if (this.options.repeatMode === mode) return this;
+    
+    this.options.repeatMode = mode;
+    this._refreshPrefetch();
+    this.hetubed.emit('repeatMode', this, mode);
+    return this;
+  }
+  
+  /**
+   * Move to a specific position in the queue
+   * @param {number} position Position index
+   * @returns {Queue}
+   */
+  jump(position) {
+    if (position < 0 || position >= this.songs.length) {
+      throw new QueueError('INVALID_POSITION');
+    }
+    
+    this._addToHistory(this.currentSong);
+    
+    this.currentIndex = position;
+    
+    this._stopPlayer();
+    
+    if (this.playing) {
+      this.play();
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Go back to the previously played song
+   * @returns {Queue}
+   */
+  previous() {
+    let index = -1;
+    
+    if (this.previousSongs.length) {
+      const song = this.previousSongs.pop();
+      index = this.songs.indexOf(song);
+      
+      // The song may have been removed from the queue since it was played
+      if (index === -1) {
+        index = Math.min(this.currentIndex, this.songs.length);
+        this.songs.splice(index, 0, song);
+      }
+    } else if (this.options.repeatMode === 2 && this.songs.length > 1) {
+      index = (this.currentIndex || this.songs.length) - 1;
+    } else {
+      throw new QueueError('NO_PREVIOUS');
+    }
+    
+    this.currentIndex = index;
+    
+    this._stopPlayer();
+    
+    if (this.playing) {
+      this.play();
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Get the previously played songs, oldest first
+   * @returns {Song[]}
+   */
+  getHistory() {
+    return [...this.previousSongs];
+  }
+  
+  /**
+   * Remember a song in the history, dropping the oldest entry when it is full
+   * @param {Song|null} song Song that was played
+   * @private
+   */
+  _addToHistory(song) {
+    if (!this.hetubed.options.savePreviousSongs || !song) return;
+    
+    this.previousSongs.push(song);
+    if (this.previousSongs.length > this.maxPreviousSongs) {
+      this.previousSongs.shift();
+    }
+  }
+  
+  /**
+   * Initialize player events with optimized handlers
+   * @private
+   */
+  _initPlayerEvents() {
+    this.player.on(AudioPlayerStatus.Idle, () => {
+      if (this.playing && !this._ignoreIdle) {
+        this._onSongEnd();
+      }
+    });
+    
+    this.player.on('error', error => {
+      // The player goes Idle right after, so the recovery is what moves on, not a skip here
+      this._recoverStream(this.currentSong, new StreamError('STREAM_FAILED', error.message, { cause: error }));
+    });
+  }
+  
+  /**
+   * Move on once the current song is over
+   * @param {boolean} [allowRepeat=true] Whether repeating the song is allowed, which it is not
+   * for a live stream that ended
+   * @private
+   */
+  _onSongEnd(allowRepeat = true) {
+    if (this.options.repeatMode === 1 && allowRepeat) {
+      this.play();
+    } else {
+      const hadMoreSongs = this.currentIndex < this.songs.length - 1;
+      
+      // No delay here, the upcoming song is usually prefetched already
+      this._finishing = true;
+      try {
+        this.skip();
+      } finally {
+        this._finishing = false;
+      }
+      
+      if (!hadMoreSongs && this.songs.length === 0) {
+        this.hetubed.emit('finish', this);
+        this.hetubed.presence.onFinish(this);
+      }
+    }
+  }
+  
+  /**
+   * Shuffle the queue while preserving the current song
+   * @param {GuildMember} [member] Member asking, checked against the control policy
+   * @returns {Queue}
+   */
+  shuffle(member) {
+    this._assertControl(member, 'shuffle');
+    
+    if (this.songs.length <= 1) return this;
+    
+    const currentSong = this.songs[this.currentIndex];
+    
+    this.songs.splice(this.currentIndex, 1);
+    
+    for (let i = this.songs.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [this.songs[i], this.songs[j]] = [this.songs[j], this.songs[i]];
+    }
+    
+    this.songs.unshift(currentSong);
+    this.currentIndex = 0;
+    this._refreshPrefetch();
+    
+    this.hetubed.emit('shuffle', this);
+    return this;
+  }
+  
+  /**
+   * Settings of the queue that are kept as the defaults of its guild
+   * @returns {GuildSettings}
+   */
+  get settings() {
+    return {
+      volume: this.options.volume,
+      repeatMode: this.options.repeatMode,
+      autoplay: this.options.autoplay,
+      filters: [...this.options.filters],
+      crossfade: this.options.crossfade,
+      fadeIn: this.options.fadeIn,
+      fadeOut: this.options.fadeOut,
+      alwaysOn: this.hetubed.isAlwaysOn(this.guildId)
+    };
+  }
+  
+  /**
+   * Export the songs of the queue as a playlist
+   * @param {'json'|'m3u'} [format='json'] JSON for Hetubed, or extended M3U for other players
+   * @returns {string}
+   */
+  export(format = 'json') {
+    if (format === 'm3u') return toM3U(this.songs);
+    
+    if (format !== 'json') {
+      throw new HetubedError('INVALID_ARGUMENT', `Unknown playlist format "${format}".`);
+    }
+    
+    return JSON.stringify({ songs: this.songs.map(serializeSong) });
+  }
+  
+  /**
+   * Create a serializable snapshot of the queue, used to restore it later
+   * @returns {QueueSnapshot}
+   */
+  toJSON() {
+    return {
+      guildId: this.guildId,
+      voiceChannelId: this.voiceChannel.id,
+      textChannelId: this.textChannel ? this.textChannel.id : null,
+      songs: this.songs.map(({ member, ...song }) => ({ ...song, memberId: member ? member.id : null })),
+      currentIndex: this.currentIndex,
+      position: this.currentTime,
+      paused: this.paused,
+      volume: this.options.volume,
+      repeatMode: this.options.repeatMode,
+      autoplay: this.options.autoplay,
+      filters: this.filters
+    };
+  }
+  
+  /**
+   * Clear all resources to prevent memory leaks
+   */
+  destroy() {
+    this.stop();
+    
+    this.removeAllListeners();
+    this.player.removeAllListeners();
+    
+    if (this.connection) {
+      this.connection.destroy();
+    }
+  }
+}
+
+/**
+ * A list of songs added together, such as a YouTube playlist
+ */
+class Playlist {
+  /**
+   * Create a new Playlist
+   * @param {Object} [data={}] Playlist fields
+   * @param {string} [data.id] Playlist ID
+   * @param {string} [data.name] Playlist name
+   * @param {string} [data.url] Playlist URL
+   * @param {string} [data.thumbnail] Thumbnail URL
+   * @param {{id: string, name: string}} [data.author] Channel that made the playlist
+   * @param {string} [data.source] Name of the extractor that resolved it
+   * @param {Song[]} [data.songs] Songs of the playlist
+   * @param {GuildMember} [data.member] Member who added it
+   * @param {function(): Promise<Song[]>} [data.loadMore] Loads the songs after the first page
+   */
+  constructor({ id = null, name = null, url = null, thumbnail = null, author = null, source = null,
+    songs = [], member = null, loadMore = null } = {}) {
+    this.id = id;
+    this.name = name || 'Unknown';
+    this.url = url;
+    this.thumbnail = thumbnail || songs[0]?.thumbnail || null;
+    this.author = author;
+    this.source = source;
+    this.songs = songs;
+    this.member = member;
+    
+    /**
+     * Loads the songs that did not fit in the first page, `null` once the playlist is complete
+     * @type {function(): Promise<Song[]>|null}
+     */
+    this.loadMore = loadMore;
+  }
+  
+  /**
+   * Total duration of the songs, in seconds
+   * @type {number}
+   */
+  get duration() {
+    return this.songs.reduce((total, song) => total + (song.duration || 0), 0);
+  }
+  
+  /**
+   * Total duration of the songs, formatted as `m:ss` or `h:mm:ss`
+   * @type {string}
+   */
+  get formattedDuration() {
+    return formatDuration(this.duration);
+  }
+}
+
+/**
+ * Storage adapter keeping values in memory. Every storage adapter implements the same
+ * `get`, `set`, `delete` and `keys` methods, which may return promises.
+ */
+class MemoryStore {
+  /**
+   * Create a new MemoryStore
+   */
+  constructor() {
+    this._data = new Map();
+  }
+  
+  /**
+   * Get a stored value
+   * @param {string} key Key to read
+   * @returns {*}
+   */
+  get(key) {
+    return this._data.get(key);
+  }
+  
+  /**
+   * Store a value
+   * @param {string} key Key to write
+   * @param {*} value Serializable value
+   */
+  set(key, value) {
+    this._data.set(key, value);
+  }
+  
+  /**
+   * Remove a stored value
+   * @param {string} key Key to remove
+   */
+  delete(key) {
+    this._data.delete(key);
+  }
+  
+  /**
+   * List the stored keys
+   * @returns {string[]}
+   */
+  keys() {
+    return [...this._data.keys()];
+  }
+}
+
+/**
+ * Storage adapter keeping at most `maxSize` values in memory, dropping the least recently used
+ */
+class LRUStore extends MemoryStore {
+  /**
+   * Create a new LRUStore
+   * @param {number} [maxSize=500] Maximum number of values
+   */
+  constructor(maxSize = 500) {
+    super();
+    
+    this.maxSize = maxSize;
+  }
+  
+  /**
+   * Get a stored value and mark it as recently used
+   * @param {string} key Key to read
+   * @returns {*}
+   */
+  get(key) {
+    if (!this._data.has(key)) return undefined;
+    
+    const value = this._data.get(key);
+    this._data.delete(key);
+    this._data.set(key, value);
+    return value;
+  }
+  
+  /**
+   * Store a value, evicting the least recently used one when full
+   * @param {string} key Key to write
+   * @param {*} value Value
+   */
+  set(key, value) {
+    this._data.delete(key);
+    this._data.set(key, value);
+    
+    if (this._data.size > this.maxSize) {
+      this._data.delete(this._data.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Cache with per-entry expiry on top of any storage adapter. Concurrent misses for the
+ * same key share a single fetch.
+ */
+class ResolveCache {
+  /**
+   * Create a new ResolveCache
+   * @param {CacheOptions} [options={}] Cache options
+   */
+  constructor(options = {}) {
+    /**
+     * Time to live of metadata entries, in seconds
+     * @type {number}
+     */
+    this.ttl = options.ttl ?? 3600;
+    
+    /**
+     * Time to live of stream format entries, in seconds
+     * @type {number}
+     */
+    this.formatTtl = options.formatTtl ?? 1800;
+    
+    /**
+     * Storage adapter holding the entries
+     * @type {MemoryStore}
+     */
+    this.store = options.store || new LRUStore(options.maxSize ?? 500);
+    
+    this._pending = new Map();
+    this._hits = 0;
+    this._misses = 0;
+  }
+  
+  /**
+   * Get a value if it is cached and has not expired
+   * @param {string} key Cache key
+   * @returns {Promise<*>} `undefined` on a miss
+   */
+  async get(key) {
+    let entry;
+    try {
+      entry = await this.store.get(`cache:${key}`);
+    } catch (error) {
+      // A failing backend should only cost us the cache, not the request
+      entry = undefined;
+    }
+    
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) Promise.resolve(this.store.delete(`cache:${key}`)).catch(() => {});
+      
+      this._misses++;
+      return undefined;
+    }
+    
+    this._hits++;
+    return entry.value;
+  }
+  
+  /**
+   * Cache a value
+   * @param {string} key Cache key
+   * @param {*} value Serializable value
+   * @param {number} [ttl=this.ttl] Time to live in seconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = this.ttl) {
+    try {
+      await this.store.set(`cache:${key}`, { value, expires: Date.now() + ttl * 1000 });
+    } catch (error) {
+    }
+  }
+  
+  /**
+   * Drop a cached value
+   * @param {string} key Cache key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    try {
+      await this.store.delete(`cache:${key}`);
+    } catch (error) {
+    }
+  }
+  
+  /**
+   * Get a cached value, fetching and caching it on a miss
+   * @param {string} key Cache key
+   * @param {function(): Promise<*>} fetch Fetches the value on a miss
+   * @param {number} [ttl=this.ttl] Time to live in seconds
+   * @returns {Promise<*>}
+   */
+  async wrap(key, fetch, ttl = this.ttl) {
+    const cached = await this.get(key);
+    if (cached !== undefined) return cached;
+    
+    if (this._pending.has(key)) return this._pending.get(key);
+    
+    const pending = (async () => {
+      const value = await fetch();
+      await this.set(key, value, ttl);
+      return value;
+    })();
+    
+    this._pending.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      this._pending.delete(key);
+    }
+  }
+  
+  /**
+   * Remove every cached entry and reset the stats
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const keys = await this.store.keys();
+    
+    for (const key of keys) {
+      if (key.startsWith('cache:')) await this.store.delete(key);
+    }
+    
+    this._hits = 0;
+    this._misses = 0;
+  }
+  
+  /**
+   * Get the hit and miss counts since the cache was created or cleared
+   * @returns {{hits: number, misses: number, hitRate: number}}
+   */
+  stats() {
+    const total = this._hits + this._misses;
+    return { hits: this._hits, misses: this._misses, hitRate: total ? this._hits / total : 0 };
+  }
+}
+
+/**
+ * Storage adapter keeping values in a JSON file, written atomically after each change
+ */
+class JSONFileStore {
+  /**
+   * Create a new JSONFileStore
+   * @param {string} file Path of the JSON file
+   */
+  constructor(file) {
+    if (!file) throw new HetubedError('INVALID_ARGUMENT', 'A file path is required.');
+    
+    this.file = path.resolve(file);
+    this._data = null;
+    this._writing = Promise.resolve();
+  }
+  
+  /**
+   * Read the file once, treating a missing file as empty
+   * @returns {Promise<Object>}
+   * @private
+   */
+  _load() {
+    if (!this._data) {
+      this._data = fs.promises.readFile(this.file, 'utf8')
+        .then(content => JSON.parse(content))
+        .catch(error => {
+          if (error.code === 'ENOENT') return {};
+          this._data = null;
+          throw error;
+        });
+    }
+    
+    return this._data;
+  }
+  
+  /**
+   * Queue a write of the whole file after the previous one
+   * @returns {Promise<void>}
+   * @private
+   */
+  _flush() {
+    this._writing = this._writing.catch(() => {}).then(async () => {
+      const data = await this._data;
+      const temp = `${this.file}.tmp`;
+      
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(temp, JSON.stringify(data));
+      await fs.promises.rename(temp, this.file);
+    });
+    
+    return this._writing;
+  }
+  
+  /**
+   * Get a stored value
+   * @param {string} key Key to read
+   * @returns {Promise<*>}
+   */
+  async get(key) {
+    const data = await this._load();
+    return data[key];
+  }
+  
+  /**
+   * Store a value
+   * @param {string} key Key to write
+   * @param {*} value Serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const data = await this._load();
+    data[key] = value;
+    return this._flush();
+  }
+  
+  /**
+   * Remove a stored value
+   * @param {string} key Key to remove
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    const data = await this._load();
+    if (!(key in data)) return;
+    
+    delete data[key];
+    return this._flush();
+  }
+  
+  /**
+   * List the stored keys
+   * @returns {Promise<string[]>}
+   */
+  async keys() {
+    return Object.keys(await this._load());
+  }
+}
+
+/**
+ * Settings provider keeping the settings of each guild in a storage adapter
+ */
+class SettingsProvider {
+  /**
+   * Create a new SettingsProvider
+   * @param {Object} store Storage adapter with `get`, `set` and `delete`
+   */
+  constructor(store) {
+    if (!store) throw new HetubedError('INVALID_ARGUMENT', 'A storage adapter is required.');
+    
+    this.store = store;
+  }
+  
+  /**
+   * Get the settings of a guild
+   * @param {string} guildId Guild ID
+   * @returns {Promise<GuildSettings|null>}
+   */
+  async get(guildId) {
+    return (await this.store.get(`settings:${guildId}`)) || null;
+  }
+  
+  /**
+   * Replace the settings of a guild
+   * @param {string} guildId Guild ID
+   * @param {GuildSettings} settings Settings to save
+   * @returns {Promise<void>}
+   */
+  async set(guildId, settings) {
+    await this.store.set(`settings:${guildId}`, settings);
+  }
+  
+  /**
+   * Forget the settings of a guild
+   * @param {string} guildId Guild ID
+   * @returns {Promise<void>}
+   */
+  async delete(guildId) {
+    await this.store.delete(`settings:${guildId}`);
+  }
+}
+
+/**
+ * Settings provider keeping the settings of each guild in memory
+ */
+class MemorySettingsProvider extends SettingsProvider {
+  /**
+   * Create a new MemorySettingsProvider
+   */
+  constructor() {
+    super(new MemoryStore());
+  }
+}
+
+/**
+ * Settings provider keeping the settings of each guild in a JSON file
+ */
+class JSONFileSettingsProvider extends SettingsProvider {
+  /**
+   * Create a new JSONFileSettingsProvider
+   * @param {string} file Path of the JSON file
+   */
+  constructor(file) {
+    super(new JSONFileStore(file));
+  }
+}
+
+/**
+ * Source of the segments of songs that can be skipped, such as sponsor reads or non-music
+ * intros. Providers implement `getSegments(song)`, plain objects doing so work as well.
+ */
+class SegmentProvider {
+  /**
+   * Get the segments of a song
+   * @param {Song} song Song to get the segments of
+   * @returns {Promise<SkipSegment[]>}
+   */
+  async getSegments(song) {
+    return [];
+  }
+}
+
+/**
+ * Segment provider querying a SponsorBlock compatible API for YouTube songs
+ */
+class SponsorBlockProvider extends SegmentProvider {
+  /**
+   * Create a new SponsorBlockProvider
+   * @param {Object} [options={}] Provider options
+   * @param {string} [options.baseUrl='https://sponsor.ajay.app'] Base URL of the API
+   * @param {string[]} [options.categories] Categories to request, all skippable ones by default
+   */
+  constructor(options = {}) {
+    super();
+    
+    this.baseUrl = (options.baseUrl || 'https://sponsor.ajay.app').replace(/\/+$/, '');
+    this.categories = options.categories ||
+      ['sponsor', 'selfpromo', 'interaction', 'intro', 'outro', 'preview', 'music_offtopic', 'filler'];
   }
   
   /**
-   * Resolve a song from URL or search query with optimized promise handling
-   * @param {string} song Song URL or search query
-   * @returns {Promise<Song|Song[]>}
-   * @private
+   * Get the segments of a YouTube song
+   * @param {Song} song Song to get the segments of
+   * @returns {Promise<SkipSegment[]>}
    */
-  async _resolveSong(song) {
-    if (ytdl.validateURL(song)) {
-      const info = await ytdl.getInfo(song);
-      return this._createSong(info);
-    }
+  async getSegments(song) {
+    if (song.source !== 'youtube' || !song.id) return [];
+    
+    const url = `${this.baseUrl}/api/skipSegments?videoID=${encodeURIComponent(song.id)}` +
+      `&categories=${encodeURIComponent(JSON.stringify(this.categories))}`;
     
-    if (ytpl.validateID(song)) {
-      const playlist = await ytpl(song, { limit: 100 });
-      return playlist.items.map(item => this._createSong(item));
+    let response;
+    try {
+      response = await httpGet(url);
+    } catch (error) {
+      // The API answers 404 for videos without segments
+      if (error.status === 404) return [];
+      throw error;
     }
     
-    const searchResults = await ytsr(song, { limit: 1 });
-    if (!searchResults.items.length) {
-      throw new Error('No search results found.');
+    const chunks = [];
+    for await (const chunk of response) {
+      chunks.push(chunk);
     }
     
-    const videoInfo = await ytdl.getInfo(searchResults.items[0].url);
-    return this._createSong(videoInfo);
+    return JSON.parse(Buffer.concat(chunks).toString())
+      .filter(item => !item.actionType || item.actionType === 'skip')
+      .map(item => ({ start: item.segment[0], end: item.segment[1], category: item.category }));
+  }
+}
+
+/**
+ * Segment provider serving fixed segments by song ID or URL
+ */
+class StaticSegmentProvider extends SegmentProvider {
+  /**
+   * Create a new StaticSegmentProvider
+   * @param {Object<string, SkipSegment[]>|Map<string, SkipSegment[]>} [segments={}] Segments by song ID or URL
+   */
+  constructor(segments = {}) {
+    super();
+    
+    this.segments = new Map(segments instanceof Map ? segments : Object.entries(segments));
   }
   
   /**
-   * Create a song object from YouTube info - optimized to extract only what we need
-   * @param {Object} info YouTube video info
-   * @returns {Song}
-   * @private
+   * Set the segments of a song
+   * @param {string} key Song ID or URL
+   * @param {SkipSegment[]} segments Segments of the song
+   * @returns {StaticSegmentProvider}
    */
-  _createSong(info) {
-    if (info.videoDetails) {
-      const thumbnails = info.videoDetails.thumbnails;
-      return {
-        id: info.videoDetails.videoId,
-        title: info.videoDetails.title,
-        url: info.videoDetails.video_url || `https://www.youtube.com/watch?v=${info.videoDetails.videoId}`,
-        duration: parseInt(info.videoDetails.lengthSeconds),
-        thumbnail: thumbnails ? thumbnails[thumbnails.length - 1].url : null,
-        member: null,
-        source: 'youtube'
-      };
-    } else {
-      const thumbnails = info.thumbnails;
-      return {
-        id: info.id,
-        title: info.title,
-        url: info.url,
-        duration: parseInt(info.durationSec || 0),
-        thumbnail: thumbnails ? thumbnails[thumbnails.length - 1].url : null,
-        member: null,
-        source: 'youtube'
-      };
-    }
+  set(key, segments) {
+    this.segments.set(key, segments);
+    return this;
   }
   
   /**
-   * Initialize event handlers - optimized with weak references where possible
-   * @private
+   * Get the segments of a song
+   * @param {Song} song Song to get the segments of
+   * @returns {Promise<SkipSegment[]>}
    */
-  _initEventHandlers() {
-    this.client.on('voiceStateUpdate', (oldState, newState) => {
-      const queue = this.getQueue(oldState.guild.id);
-      if (!queue) return;
-      
-      if (oldState.member.id === this.client.user.id && !newState.channelId) {
-        queue.stop();
-        this.queues.delete(oldState.guild.id);
-        this.emit('disconnect', queue);
-        return;
-      }
-      
-      if (this.options.leaveOnEmpty && 
-          queue.voiceChannel.id === oldState.channelId &&
-          oldState.channel) {
-        
-        const members = oldState.channel.members.filter(m => !m.user.bot);
-        
-        if (members.size === 0) {
-          queue._emptyTimeout = setTimeout(() => {
-            if (!this.queues.has(oldState.guild.id)) return;
-            
-            const currentChannel = queue.voiceChannel.members;
-            if (currentChannel && currentChannel.filter(m => !m.user.bot).size === 0) {
-              queue.stop();
-              queue.connection.destroy();
-              this.queues.delete(oldState.guild.id);
-              this.emit('empty', queue);
-            }
-            
-            queue._emptyTimeout = null;
-          }, this.options.emptyCooldown * 1000);
-        }
-      }
-    });
+  async getSegments(song) {
+    return this.segments.get(song.id) || this.segments.get(song.url) || [];
+  }
+}
+
+/**
+ * Latency histogram of an external call, with Prometheus style buckets in seconds
+ */
+class LatencyHistogram {
+  /**
+   * Create a new LatencyHistogram
+   * @param {number[]} [buckets] Upper bounds of the buckets, in seconds
+   */
+  constructor(buckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.sum = 0;
+    this.count = 0;
+    this.errors = 0;
   }
   
   /**
-   * Clean up resources when the process is terminating
-   * @private
+   * Record a call
+   * @param {number} seconds Duration of the call
+   * @param {boolean} [failed=false] Whether the call failed
    */
-  _cleanup() {
-    for (const [guildId, queue] of this.queues.entries()) {
-      if (queue.connection) {
-        queue.connection.destroy();
-      }
-      
-      if (queue._emptyTimeout) {
-        clearTimeout(queue._emptyTimeout);
-      }
-      
-      this.queues.delete(guildId);
-    }
+  observe(seconds, failed = false) {
+    const index = this.buckets.findIndex(bound => seconds <= bound);
+    if (index !== -1) this.counts[index]++;
     
-    process.off('SIGINT', this._boundCleanup);
-    process.off('SIGTERM', this._boundCleanup);
+    this.sum += seconds;
+    this.count++;
+    if (failed) this.errors++;
   }
   
   /**
-   * Destroy the Hetubed instance and clean up resources
+   * Get the histogram with cumulative bucket counts, calls above the last bucket only
+   * count in `count`
+   * @returns {HistogramData}
    */
-  destroy() {
-    this._cleanup();
-    this.removeAllListeners();
+  toJSON() {
+    let total = 0;
+    
+    return {
+      buckets: this.buckets.map((bound, i) => ({ le: bound, count: total += this.counts[i] })),
+      sum: this.sum,
+      count: this.count,
+      errors: this.errors
+    };
   }
 }
 
 /**
- * Represents a guild queue with optimized resource usage
+ * Write statistics in the Prometheus text exposition format
+ * @param {HetubedStats} stats Statistics from `Hetubed.stats()`
+ * @returns {string}
  */
-class Queue extends EventEmitter {
+function toPrometheus(stats) {
+  const lines = [];
+  const label = value => String(value).replace(/[\\"\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`));
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP hetubed_${name} ${help}`, `# TYPE hetubed_${name} ${type}`);
+    for (const [suffix, value] of samples) {
+      lines.push(`hetubed_${name}${suffix} ${value}`);
+    }
+  };
+  
+  metric('queues', 'gauge', 'Active queues.', [['', stats.queues]]);
+  metric('queues_playing', 'gauge', 'Queues playing a song.', [['', stats.playing]]);
+  metric('queues_paused', 'gauge', 'Paused queues.', [['', stats.paused]]);
+  metric('songs_queued', 'gauge', 'Songs in all queues.', [['', stats.songs]]);
+  
+  const resolves = Object.entries(stats.resolves);
+  metric('resolve_duration_seconds', 'histogram', 'Duration of ytdl, ytpl and ytsr calls.',
+    resolves.flatMap(([call, histogram]) => [
+      ...histogram.buckets.map(({ le, count }) => [`_bucket{call="${call}",le="${le}"}`, count]),
+      [`_bucket{call="${call}",le="+Inf"}`, histogram.count],
+      [`_sum{call="${call}"}`, histogram.sum],
+      [`_count{call="${call}"}`, histogram.count]
+    ]));
+  metric('resolve_errors_total', 'counter', 'Failed ytdl, ytpl and ytsr calls.',
+    resolves.map(([call, histogram]) => [`{call="${call}"}`, histogram.errors]));
+  
+  metric('stream_errors_total', 'counter', 'Stream errors during playback.', [['', stats.streamErrors]]);
+  metric('stream_retries_total', 'counter', 'Stream retries.', [['', stats.streamRetries]]);
+  metric('stream_failures_total', 'counter', 'Songs skipped after every retry failed.', [['', stats.streamFailures]]);
+  metric('live_reconnects_total', 'counter', 'Reconnects to live streams.', [['', stats.liveReconnects]]);
+  metric('voice_reconnects_total', 'counter', 'Voice connection reconnects.', [['', stats.voiceReconnects]]);
+  
+  metric('queue_buffered_bytes', 'gauge', 'Bytes of the current stream waiting to be played.',
+    stats.guilds.map(guild => [`{guild="${label(guild.guildId)}"}`, guild.buffered]));
+  metric('queue_output_frames', 'gauge', 'Opus frames encoded ahead of playback.',
+    stats.guilds.map(guild => [`{guild="${label(guild.guildId)}"}`, guild.outputFrames]));
+  metric('queue_prefetched', 'gauge', 'Whether the next song is prefetched.',
+    stats.guilds.map(guild => [`{guild="${label(guild.guildId)}"}`, guild.prefetched ? 1 : 0]));
+  
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Embedded HTTP server for dashboards, with REST endpoints reading and controlling the queues
+ * and a WebSocket at `/events` streaming the Hetubed events as JSON. Every request needs the
+ * shared token as `Authorization: Bearer <token>`, the WebSocket may pass it as a `token`
+ * query parameter instead.
+ */
+class ControlServer {
   /**
-   * Create a new Queue instance
-   * @param {Hetubed} hetubed Hetubed instance
-   * @param {VoiceChannel|StageChannel} voiceChannel Voice channel
-   * @param {PlayOptions} options Play options
+   * Create a new ControlServer
+   * @param {Hetubed} hetubed Hetubed instance to expose
+   * @param {ControlServerOptions} options Server options
    */
-  constructor(hetubed, voiceChannel, options = {}) {
-    super();
+  constructor(hetubed, options = {}) {
+    if (!options.token) {
+      throw new HetubedError('INVALID_ARGUMENT', 'A token is required.');
+    }
     
-    /**
-     * Hetubed instance
-     * @type {Hetubed}
-     */
     this.hetubed = hetubed;
     
     /**
-     * Discord.js voice channel
-     * @type {VoiceChannel|StageChannel}
-     */
-    this.voiceChannel = voiceChannel;
-    
-    /**
-     * Discord.js text channel for sending notifications
-     * @type {TextChannel|null}
-     */
-    this.textChannel = options.textChannel || null;
-    
-    /**
-     * Guild ID
-     * @type {string}
-     */
-    this.guildId = voiceChannel.guild.id;
-    
-    /**
-     * Whether the queue is playing
-     * @type {boolean}
-     */
-    this.playing = false;
-    
-    /**
-     * Whether the queue is paused
-     * @type {boolean}
-     */
-    this.paused = false;
-    
-    /**
-     * Songs in the queue
-     * @type {Song[]}
-     */
-    this.songs = [];
-    
-    /**
-     * Previously played songs - using a limited array to avoid memory bloat
-     * @type {Song[]}
-     */
-    this.previousSongs = [];
-    
-    /**
-     * Maximum number of previous songs to keep
-     * @type {number}
-     */
-    this.maxPreviousSongs = 50;
-    
-    /**
-     * Current song index
-     * @type {number}
-     */
-    this.currentIndex = 0;
-    
-    /**
-     * Voice connection
-     * @type {VoiceConnection}
-     */
-    this.connection = null;
-    
-    /**
-     * Audio player
-     * @type {AudioPlayer}
-     */
-    this.player = createAudioPlayer();
-    
-    /**
-     * Queue options
-     * @type {PlayOptions}
+     * Server options
+     * @type {ControlServerOptions}
      */
     this.options = {
-      autoplay: false,
-      volume: 50,
-      filters: [],
-      repeatMode: 0, // 0: disabled, 1: repeat song, 2: repeat queue
+      port: 3000,
+      host: '127.0.0.1',
       ...options
     };
     
     /**
-     * Timeout reference for empty channel detection
-     * @type {Timeout|null}
-     * @private
+     * HTTP server, `null` until listening
+     * @type {http.Server|null}
      */
-    this._emptyTimeout = null;
+    this.server = null;
     
     /**
-     * Current stream reference to allow cleanup
-     * @type {Object|null}
-     * @private
+     * WebSocket server of the `/events` endpoint, `null` until listening
+     * @type {WebSocketServer|null}
      */
-    this._currentStream = null;
+    this.sockets = null;
     
     /**
-     * Current transcoder process
-     * @type {Object|null} 
+     * Listeners forwarding the Hetubed events, by event name
+     * @type {Map<string, Function>}
      * @private
      */
-    this._transcoder = null;
-    
-    this._initPlayerEvents();
-  }
-  
-  /**
-   * Get the current song
-   * @returns {Song|null}
-   */
-  get currentSong() {
-    return this.songs[this.currentIndex] || null;
+    this._listeners = new Map();
   }
   
   /**
-   * Set text channel for notifications
-   * @param {TextChannel} channel Discord.js text channel
-   * @returns {Queue}
+   * Port the server listens on, useful when it was started on port 0
+   * @type {number|null}
    */
-  setTextChannel(channel) {
-    this.textChannel = channel;
-    return this;
+  get port() {
+    return this.server?.address()?.port ?? null;
   }
   
   /**
-   * Connect to the voice channel with optimized error handling
-   * @returns {VoiceConnection}
+   * Start listening
+   * @returns {Promise<ControlServer>}
    */
-  connect() {
-    if (this.connection) return this.connection;
-    
-    this.connection = joinVoiceChannel({
-      channelId: this.voiceChannel.id,
-      guildId: this.guildId,
-      adapterCreator: this.voiceChannel.guild.voiceAdapterCreator,
-      selfDeaf: true,
-    });
+  async listen() {
+    if (this.server) return this;
     
-    this.connection.on(VoiceConnectionStatus.Disconnected, async () => {
-      try {
-        // Try to reconnect once
-        await Promise.race([
-          this.connection.rejoin(),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Voice connection reconnect timeout')), 5000)
-          )
-        ]);
-      } catch (error) {
-        this.connection.destroy();
-        this.hetubed.queues.delete(this.guildId);
-        this.hetubed.emit('disconnect', this);
-        
-      }
-    });
+    const WebSocketServer = this.options.WebSocketServer || require('ws').WebSocketServer;
     
-    this.connection.subscribe(this.player);
+    const server = http.createServer((request, response) => this._handle(request, response));
+    this.sockets = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (request, socket, head) => this._upgrade(request, socket, head));
     
-    return this.connection;
-  }
-  
-  /**
-   * Add a song to the queue with optimized handling
-   * @param {Song|Song[]} song Song or songs to add
-   * @param {GuildMember} member Guild member who added the song
-   * @returns {Promise<Queue>}
-   */
-  async addSong(song, member = null) {
-    if (Array.isArray(song)) {
-      const songs = song.map(s => ({...s, member}));
-      this.songs.push(...songs);
-      
-      if (this.hetubed.options.emitAddListWhenCreatingQueue || this.songs.length > songs.length) {
-        this.hetubed.emit('addList', this, songs);
-        
-      }
-      
-      return this;
-    }
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.options.port, this.options.host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
     
-    // Add single song
-    const newSong = {...song, member};
-    this.songs.push(newSong);
+    this.server = server;
     
-    if (this.hetubed.options.emitAddSongWhenCreatingQueue || this.songs.length > 1) {
-      this.hetubed.emit('addSong', this, newSong);
-      
+    for (const event of SERVER_EVENTS) {
+      const listener = (...args) => this._broadcast(event, args);
+      this._listeners.set(event, listener);
+      this.hetubed.on(event, listener);
     }
     
     return this;
   }
   
   /**
-   * Play the current song with fixed buffer handling
+   * Disconnect the WebSocket clients and stop listening
    * @returns {Promise<void>}
    */
-  async play() {
-    if (!this.songs.length) return;
+  async close() {
+    const server = this.server;
+    if (!server) return;
     
-    this.connect();
+    for (const [event, listener] of this._listeners) {
+      this.hetubed.off(event, listener);
+    }
+    this._listeners.clear();
     
-    const song = this.currentSong;
-    if (!song) return;
+    for (const client of this.sockets.clients) {
+      client.terminate();
+    }
+    this.sockets.close();
     
-    this.playing = true;
-    this.paused = false;
+    this.server = null;
+    this.sockets = null;
     
-    try {
-      this._cleanupStreams();
-      
-      const ytStream = ytdl(song.url, {
-        ...this.hetubed.options.ytdlOptions,
-        liveBuffer: 4000,
-        begin: Date.now(),
-      });
-      
-      this._currentStream = ytStream;
-      
-      ytStream.on('error', (error) => {
-        this.hetubed.emit('error', this, error);
-        setTimeout(() => this.player.stop(), 100);
-      });
-      
-      const demuxer = new prism.opus.WebmDemuxer();
-      this._transcoder = demuxer;
-      
-      ytStream.pipe(demuxer);
-      
-      const resource = createAudioResource(demuxer, {
-        inputType: StreamType.Opus,
-        inlineVolume: true,
-      });
-      
-      if (resource.volume) {
-        resource.volume.setVolume(this.options.volume / 100);
-      }
-      
-      this.player.play(resource);
-      if (!this.hetubed.options.emitNewSongOnly || this.currentIndex === 0) {
-        this.hetubed.emit('playSong', this, song);
-        
-      }
-    } catch (error) {
-      this.hetubed.emit('error', this, error);
-      setTimeout(() => this.skip(), 300);
-    }
+    await new Promise(resolve => server.close(() => resolve()));
   }
   
   /**
-   * Clean up any active streams to prevent memory leaks and resource issues
+   * Whether a request carries the shared token
+   * @param {http.IncomingMessage} request Request to check
+   * @param {URL} [url] Parsed request URL, to also accept a `token` query parameter
+   * @returns {boolean}
    * @private
    */
-  _cleanupStreams() {
-    if (this._currentStream) {
-      try {
-        this._currentStream.destroy();
-      } catch (err) {
-      }
-      this._currentStream = null;
-    }
+  _authorized(request, url) {
+    const header = request.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : url?.searchParams.get('token');
+    if (!token) return false;
     
-    if (this._transcoder) {
-      try {
-        this._transcoder.destroy();
-      } catch (err) {
-      }
-      this._transcoder = null;
-    }
+    const given = Buffer.from(token);
+    const expected = Buffer.from(String(this.options.token));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
   }
   
   /**
-   * Skip the current song
-   * @returns {Queue}
+   * Accept a WebSocket client on `/events`, optionally limited to one guild with `guildId`
+   * @param {http.IncomingMessage} request Upgrade request
+   * @param {Duplex} socket Socket of the request
+   * @param {Buffer} head First packet of the upgraded stream
+   * @private
    */
-  skip() {
-    if (this.hetubed.options.savePreviousSongs && this.currentSong) {
-      this.previousSongs.push(this.currentSong);
-      if (this.previousSongs.length > this.maxPreviousSongs) {
-        this.previousSongs.shift();
-      }
-    }
-    
-    this.currentIndex++;
+  _upgrade(request, socket, head) {
+    const url = new URL(request.url, 'http://localhost');
     
-    if (this.currentIndex >= this.songs.length) {
-      if (this.options.repeatMode === 2) {
-        this.currentIndex = 0;
-      } else if (this.options.autoplay) {
-        // TODO: Implement autoplay functionality
-        this.stop();
-        return this;
-      } else {
-        this.stop();
-        return this;
-      }
+    if (url.pathname !== '/events') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
     }
     
-    this._cleanupStreams();
-    
-    try {
-      this.player.stop();
-    } catch (error) {
-      this.hetubed.emit('error', this, error);
+    // Browsers cannot set headers on a WebSocket, so it may pass the token in the query
+    if (!this._authorized(request, url)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
     }
     
-    return this;
+    this.sockets.handleUpgrade(request, socket, head, client => {
+      client.guildId = url.searchParams.get('guildId');
+      this.sockets.emit('connection', client, request);
+    });
   }
   
   /**
-   * Pause the player
-   * @returns {Queue}
+   * Send an event to the WebSocket clients following its guild
+   * @param {string} event Event name
+   * @param {Array} args Event arguments, starting with the queue for queue events
+   * @private
    */
-  pause() {
-    if (!this.playing || this.paused) return this;
+  _broadcast(event, args) {
+    if (!this.sockets?.clients.size) return;
     
-    this.player.pause();
-    this.paused = true;
-    this.hetubed.emit('pause', this);
+    // Queue events carry the queue first, it is sent as the guild ID
+    const [first, ...rest] = args;
+    const queue = first instanceof Queue ? first : null;
+    const data = queue || first == null ? rest : args;
     
-    return this;
+    const message = JSON.stringify({ event, guildId: queue?.guildId ?? null, data: toWire(data) });
+    
+    for (const client of this.sockets.clients) {
+      if (client.readyState !== 1) continue;
+      if (client.guildId && client.guildId !== queue?.guildId) continue;
+      
+      client.send(message);
+    }
   }
   
   /**
-   * Resume the player
-   * @returns {Queue}
+   * Answer a REST request
+   * @param {http.IncomingMessage} request Request
+   * @param {http.ServerResponse} response Response
+   * @returns {Promise<void>}
+   * @private
    */
-  resume() {
-    if (!this.playing || !this.paused) return this;
-    
-    this.player.unpause();
-    this.paused = false;
-    this.hetubed.emit('resume', this);
+  async _handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
     
-    return this;
+    try {
+      // Only the header here, query strings end up in access logs
+      if (!this._authorized(request)) throw new HetubedError('UNAUTHORIZED');
+      
+      let parts;
+      try {
+        parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      } catch (error) {
+        throw new HetubedError('INVALID_ARGUMENT', 'Malformed path.', { cause: error });
+      }
+      
+      this._send(response, 200, await this._route(request, parts));
+    } catch (error) {
+      if (error instanceof HetubedError) {
+        this._send(response, HTTP_STATUS[error.code] || 400, { error: error.code, message: error.message });
+      } else {
+        this._send(response, 500, { error: 'INTERNAL_ERROR', message: error.message });
+        this.hetubed.emit('error', undefined, error);
+      }
+    }
   }
   
   /**
-   * Stop playing and clear the queue
-   * @returns {Queue}
+   * Run the endpoint of a request:
+   * `GET /stats`, `GET /metrics` in the Prometheus format, `GET /queues`, `GET /queues/:guildId`, `POST /queues/:guildId/songs` with a `query`
+   * (and a `channelId` to create the queue), and `POST /queues/:guildId/` followed by `skip`,
+   * `pause`, `resume`, `stop`, `volume` with a `volume` or `seek` with a `time`
+   * @param {http.IncomingMessage} request Request
+   * @param {string[]} parts Path segments
+   * @returns {Promise<Object>} Response data
+   * @private
    */
-  stop() {
-    this.playing = false;
-    this.paused = false;
+  async _route(request, parts) {
+    const [resource, guildId, action] = parts;
+    const { method } = request;
     
-    this._cleanupStreams();
+    if (method === 'GET' && parts.length === 1) {
+      if (resource === 'stats') return this.hetubed.stats();
+      if (resource === 'metrics') return this.hetubed.metrics();
+    }
     
-    if (this._emptyTimeout) {
-      clearTimeout(this._emptyTimeout);
-      this._emptyTimeout = null;
+    if (resource !== 'queues' || parts.length > 3) throw new HetubedError('NOT_FOUND');
+    
+    if (!guildId) {
+      if (method !== 'GET') throw new HetubedError('NOT_FOUND');
+      return this.hetubed.queues.map(queue => this._summarize(queue));
     }
     
-    this.songs = [];
-    this.currentIndex = 0;
+    if (!action) {
+      if (method !== 'GET') throw new HetubedError('NOT_FOUND');
+      return this._describe(this._getQueue(guildId));
+    }
     
-    if (this.player) {
-      this.player.stop(true);
+    if (method !== 'POST') throw new HetubedError('NOT_FOUND');
+    
+    const body = await this._readBody(request);
+    
+    if (action === 'songs') {
+      return this._describe(await this._addSong(guildId, body));
     }
     
-    this.hetubed.emit('stop', this);
+    const queue = this._getQueue(guildId);
     
-    if (this.hetubed.options.leaveOnStop) {
-      if (this.connection) {
-        this.connection.destroy();
-      }
-      this.hetubed.queues.delete(this.guildId);
+    switch (action) {
+      case 'skip':
+        queue.skip();
+        break;
+      case 'pause':
+        queue.pause();
+        break;
+      case 'resume':
+        queue.resume();
+        break;
+      case 'stop':
+        queue.stop();
+        break;
+      case 'volume':
+        if (typeof body.volume !== 'number' || isNaN(body.volume)) {
+          throw new HetubedError('INVALID_ARGUMENT', 'Volume must be a number.');
+        }
+        queue.setVolume(body.volume);
+        break;
+      case 'seek':
+        queue.seek(body.time);
+        break;
+      default:
+        throw new HetubedError('NOT_FOUND');
     }
     
-    return this;
+    return this._describe(queue);
   }
   
   /**
-   * Set the volume with caching to avoid unnecessary operations
-   * @param {number} volume Volume (0-100)
-   * @returns {Queue}
+   * Resolve a query and add it to the queue of a guild, creating the queue in `channelId`
+   * when there is none
+   * @param {string} guildId Guild ID
+   * @param {Object} body Request body
+   * @returns {Promise<Queue>}
+   * @private
    */
-  setVolume(volume) {
-    const newVolume = Math.max(0, Math.min(100, volume));
-    if (this.options.volume === newVolume) return this;
+  async _addSong(guildId, body) {
+    if (typeof body.query !== 'string' || !body.query.trim()) {
+      throw new HetubedError('INVALID_QUERY');
+    }
     
-    this.options.volume = newVolume;
+    let voiceChannel = this.hetubed.queues.get(guildId)?.voiceChannel;
     
-    const resource = this.player.state?.resource;
-    if (resource && resource.volume) {
-      resource.volume.setVolume(this.options.volume / 100);
+    if (!voiceChannel) {
+      if (!body.channelId) throw new QueueError('NO_QUEUE', 'There is no queue in this guild, pass a channelId to create one.');
+      
+      voiceChannel = this.hetubed.client.channels.cache.get(body.channelId);
+      if (!voiceChannel || voiceChannel.guild?.id !== guildId) throw new VoiceError('NO_VOICE_CHANNEL');
     }
     
-    this.hetubed.emit('volumeChange', this, this.options.volume);
-    return this;
+    return this.hetubed.play(voiceChannel, body.query, {
+      position: body.position,
+      playNext: body.playNext
+    });
   }
   
   /**
-   * Set repeat mode
-   * @param {number} mode Repeat mode (0: disabled, 1: repeat song, 2: repeat queue)
+   * Get the queue of a guild
+   * @param {string} guildId Guild ID
    * @returns {Queue}
+   * @private
    */
-  setRepeatMode(mode) {
-    if (this.options.repeatMode === mode) return this;
+  _getQueue(guildId) {
+    const queue = this.hetubed.queues.get(guildId);
+    if (!queue) throw new QueueError('NO_QUEUE');
     
-    this.options.repeatMode = mode;
-    this.hetubed.emit('repeatMode', this, mode);
-    return this;
+    return queue;
   }
   
   /**
-   * Move to a specific position in the queue
-   * @param {number} position Position index
-   * @returns {Queue}
+   * Short description of a queue for the queue list
+   * @param {Queue} queue Queue to describe
+   * @returns {Object}
+   * @private
    */
-  jump(position) {
-    if (position < 0 || position >= this.songs.length) {
-      throw new Error('Invalid position');
-    }
-    
-    if (this.hetubed.options.savePreviousSongs && this.currentSong) {
-      this.previousSongs.push(this.currentSong);
-      if (this.previousSongs.length > this.maxPreviousSongs) {
-        this.previousSongs.shift();
-      }
-    }
-    
-    this.currentIndex = position;
-    
-    this._cleanupStreams();
-    this.player.stop();
-    
-    return this;
+  _summarize(queue) {
+    return {
+      guildId: queue.guildId,
+      voiceChannelId: queue.voiceChannel.id,
+      playing: queue.playing,
+      paused: queue.paused,
+      volume: queue.options.volume,
+      size: queue.songs.length,
+      currentSong: toWire(queue.currentSong ?? null)
+    };
   }
   
   /**
-   * Initialize player events with optimized handlers
+   * Full description of a queue
+   * @param {Queue} queue Queue to describe
+   * @returns {Object}
    * @private
    */
-  _initPlayerEvents() {
-    this.player.on(AudioPlayerStatus.Idle, () => {
-      if (this.playing) {
-        if (this.options.repeatMode === 1) {
-          setTimeout(() => this.play(), 200);
-        } else {
-          if (this.hetubed.options.leaveOnFinish && 
-              this.currentIndex === this.songs.length - 1 &&
-              this.options.repeatMode !== 2) {
-            this.stop();
-            this.connection?.destroy();
-            this.hetubed.queues.delete(this.guildId);
-            this.hetubed.emit('finish', this);
-          } else {
-            const hadMoreSongs = this.currentIndex < this.songs.length - 1;
-            
-            setTimeout(() => {
-              this.skip();
-            
-              if (!hadMoreSongs && this.songs.length === 0) {
-                this.hetubed.emit('finish', this);
-              } else if (this.currentIndex < this.songs.length) {
-                this.play();
-              }
-            }, 300);
-          }
-        }
-      }
-    });
-    
-    this.player.on('error', error => {
-      this.hetubed.emit('error', this, error);
-      if (this.playing) {
-        this._cleanupStreams();
-        setTimeout(() => this.skip(), 300);
-      }
-    });
+  _describe(queue) {
+    return { ...queue.toJSON(), playing: queue.playing, duration: queue.currentSong?.duration ?? 0 };
   }
   
   /**
-   * Shuffle the queue while preserving the current song
-   * @returns {Queue}
+   * Read the JSON body of a request
+   * @param {http.IncomingMessage} request Request
+   * @returns {Promise<Object>} Body, empty without one
+   * @private
    */
-  shuffle() {
-    if (this.songs.length <= 1) return this;
-    
-    const currentSong = this.songs[this.currentIndex];
+  async _readBody(request) {
+    const chunks = await new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      
+      const onData = chunk => {
+        size += chunk.length;
+        
+        if (size > 1 << 20) {
+          // Stop collecting but let the rest drain, so the error response still goes out
+          request.off('data', onData);
+          request.off('end', onEnd);
+          request.resume();
+          reject(new HetubedError('BODY_TOO_LARGE'));
+          return;
+        }
+        
+        chunks.push(chunk);
+      };
+      const onEnd = () => resolve(chunks);
+      
+      request.on('data', onData);
+      request.on('end', onEnd);
+      request.once('error', reject);
+    });
     
-    this.songs.splice(this.currentIndex, 1);
+    if (!chunks.length) return {};
     
-    for (let i = this.songs.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [this.songs[i], this.songs[j]] = [this.songs[j], this.songs[i]];
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString());
+      return body && typeof body === 'object' ? body : {};
+    } catch (error) {
+      throw new HetubedError('INVALID_ARGUMENT', 'Request body must be JSON.', { cause: error });
     }
-    
-    this.songs.unshift(currentSong);
-    this.currentIndex = 0;
-    
-    this.hetubed.emit('shuffle', this);
-    return this;
   }
   
   /**
-   * Clear all resources to prevent memory leaks
+   * Send a JSON response, or a plain text one for strings
+   * @param {http.ServerResponse} response Response
+   * @param {number} status HTTP status
+   * @param {*} data Response data
+   * @private
    */
-  destroy() {
-    this.stop();
-    
-    this.removeAllListeners();
-    this.player.removeAllListeners();
-    
-    if (this.connection) {
-      this.connection.destroy();
+  _send(response, status, data) {
+    if (typeof data === 'string') {
+      response.writeHead(status, { 'Content-Type': 'text/plain; version=0.0.4' });
+      response.end(data);
+      return;
     }
+    
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(data));
   }
 }
 
+/**
+ * @typedef {Object} HetubedPlugin
+ * @property {string} [name] Unique name, stored as `song.source` on resolved songs
+ * @property {function(Hetubed): void} [init] Called once when the plugin is added
+ * @property {function(string): boolean|Promise<boolean>} [validate] Whether the plugin handles a query
+ * @property {function(string): Promise<Song|Song[]|Playlist>} [resolve] Resolve a validated query
+ * @property {function(string, SearchOptions): Promise<Song[]>} [search] Search for a free-text query
+ * @property {function(Song): Promise<Song[]>} [getRelated] Songs related to one of this source, used by autoplay
+ * @property {function(Song, {seek: number}): Readable|StreamInfo|Promise<Readable|StreamInfo>} [getStream] Stream a song of this source, from `seek` seconds when it can start there
+ * @property {function(Song): void|Promise<void>} [invalidate] Drop cached stream data of a song before it is retried
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {number} [limit=10] Maximum number of results
+ * @property {'video'|'playlist'} [type='video'] Kind of results to look for
+ * @property {boolean} [safeSearch=false] Whether to filter out restricted results
+ */
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [ttl=3600] Time to live of metadata entries, in seconds
+ * @property {number} [formatTtl=1800] Time to live of stream format entries, in seconds
+ * @property {number} [maxSize=500] Maximum entries of the default in-memory store
+ * @property {Object} [store] Storage adapter to keep the entries in instead of memory
+ */
+
+/**
+ * @typedef {Object} GuildSettings
+ * @property {number} [volume] Volume, from 0 to the `maxVolume` option
+ * @property {number} [repeatMode] Repeat mode (0: disabled, 1: repeat song, 2: repeat queue)
+ * @property {boolean} [autoplay] Whether autoplay is enabled
+ * @property {string[]} [filters] Active filters
+ * @property {number} [crossfade] Crossfade between songs, in seconds
+ * @property {number} [fadeIn] Fade in at the start of songs, in seconds
+ * @property {number} [fadeOut] Fade out at the end of songs, in seconds
+ * @property {boolean} [alwaysOn] Whether the guild is in 24/7 mode
+ */
+
+/**
+ * @typedef {Object} AudioPipeline
+ * @property {Readable} stream Stream of the song, ffmpeg when it opened the input itself
+ * @property {Transform|null} transcoder ffmpeg or the Opus demuxer
+ * @property {Transform|null} decoder Opus decoder
+ * @property {GainTransformer|null} volume Volume stage, `null` for Opus passthrough
+ * @property {CrossfadeMixer|null} mixer Output stage, `null` for Opus passthrough
+ * @property {Readable} output Stream handed to the player
+ * @property {StreamType} type Type of the output
+ * @property {number} offset Seconds already played during a crossfade
+ * @property {number} tempo Speed the filters play the song at
+ */
+
+/**
+ * @typedef {Object} HetubedStats
+ * @property {number} queues Active queues
+ * @property {number} playing Queues playing a song
+ * @property {number} paused Paused queues
+ * @property {number} songs Songs in all queues
+ * @property {Object<string, HistogramData>} resolves Latencies of the `ytdl`, `ytpl` and `ytsr` calls
+ * @property {number} streamErrors Stream errors during playback
+ * @property {number} streamRetries Stream retries
+ * @property {number} streamFailures Songs skipped after every retry failed
+ * @property {number} liveReconnects Reconnects to live streams
+ * @property {number} voiceReconnects Voice connection reconnects
+ * @property {Array<BufferHealth & {guildId: string, playing: boolean, paused: boolean, songs: number}>} guilds Per-queue health
+ */
+
+/**
+ * @typedef {Object} HistogramData
+ * @property {Array<{le: number, count: number}>} buckets Cumulative call counts by upper bound in seconds
+ * @property {number} sum Total duration of the calls, in seconds
+ * @property {number} count Number of calls
+ * @property {number} errors Number of failed calls
+ */
+
+/**
+ * @typedef {Object} BufferHealth
+ * @property {number} buffered Bytes of the current stream waiting to be played
+ * @property {number} outputFrames Opus frames encoded ahead of playback
+ * @property {boolean} prefetched Whether the next song is prefetched
+ * @property {boolean} recovering Whether the stream is being retried or reconnected
+ * @property {string|null} status State of the audio player
+ */
+
+/**
+ * @typedef {Object} ControlServerOptions
+ * @property {string} token Shared token required by every request
+ * @property {number} [port=3000] Port to listen on
+ * @property {string} [host='127.0.0.1'] Host to listen on
+ * @property {Function} [WebSocketServer] WebSocket server class to use instead of the one of `ws`
+ */
+
+/**
+ * @typedef {Object} SkipSegment
+ * @property {number} start Start of the segment, in seconds
+ * @property {number} end End of the segment, in seconds
+ * @property {string} category Category, e.g. `sponsor`, `intro`, `outro` or `music_offtopic`
+ */
+
+/**
+ * @typedef {Object} SavedPlaylist
+ * @property {string} name Playlist name
+ * @property {Object[]} songs Saved songs, without their members
+ * @property {number} updatedAt When the playlist was saved, in milliseconds
+ */
+
+/**
+ * @typedef {Object} DJSettings
+ * @property {string[]} roles IDs of the DJ roles
+ * @property {string[]} users IDs of the DJ users
+ */
+
+/**
+ * @typedef {Object} Blocklist
+ * @property {string[]} keywords Keywords blocked in song titles, case insensitive
+ * @property {string[]} channels IDs or names of the blocked uploader channels
+ */
+
+/**
+ * @typedef {Object} VoteSkipResult
+ * @property {number} votes Votes of the listeners still in the channel
+ * @property {number} required Votes needed to skip
+ * @property {boolean} skipped Whether the song was skipped
+ */
+
+/**
+ * @typedef {Object} QueueSnapshot
+ * @property {string} guildId Guild ID
+ * @property {string} voiceChannelId Voice channel ID
+ * @property {string|null} textChannelId Text channel ID
+ * @property {Object[]} songs Songs, with `memberId` in place of `member`
+ * @property {number} currentIndex Current song index
+ * @property {number} position Playback position of the current song, in seconds
+ * @property {boolean} paused Whether the queue was paused
+ * @property {number} volume Volume
+ * @property {number} repeatMode Repeat mode
+ * @property {boolean} autoplay Whether autoplay was enabled
+ * @property {string[]} filters Active filters
+ */
+
+/**
+ * @typedef {Object} ProbeResult
+ * @property {string|null} [container] Container format reported by ffmpeg, e.g. `ogg` or `mp3`
+ * @property {string|null} [codec] Audio codec, e.g. `opus`
+ * @property {number} [duration] Duration in seconds, 0 when unknown
+ * @property {string|null} [title] Title from the tags or the Icecast station name
+ * @property {boolean} [icy] Whether the input is an Icecast/Shoutcast radio
+ */
+
+/**
+ * @typedef {Object} StreamInfo
+ * @property {Readable} [stream] Audio stream
+ * @property {string} [input] URL or path ffmpeg opens itself, which may replace `stream` when
+ * asked to start at a position so ffmpeg seeks there instead of reading the song up to it
+ * @property {StreamType} [type] Stream type, defaults to `StreamType.Arbitrary`
+ */
+
 module.exports = Hetubed;
+module.exports.Queue = Queue;
+module.exports.Playlist = Playlist;
+module.exports.HetubedError = HetubedError;
+module.exports.ResolveError = ResolveError;
+module.exports.StreamError = StreamError;
+module.exports.VoiceError = VoiceError;
+module.exports.QueueError = QueueError;
+module.exports.RestrictionError = RestrictionError;
+module.exports.ERROR_MESSAGES = ERROR_MESSAGES;
+module.exports.YouTubeExtractor = YouTubeExtractor;
+module.exports.HTTPExtractor = HTTPExtractor;
+module.exports.FileExtractor = FileExtractor;
+module.exports.MemoryStore = MemoryStore;
+module.exports.LRUStore = LRUStore;
+module.exports.ResolveCache = ResolveCache;
+module.exports.JSONFileStore = JSONFileStore;
+module.exports.SettingsProvider = SettingsProvider;
+module.exports.MemorySettingsProvider = MemorySettingsProvider;
+module.exports.JSONFileSettingsProvider = JSONFileSettingsProvider;
+module.exports.SegmentProvider = SegmentProvider;
+module.exports.SponsorBlockProvider = SponsorBlockProvider;
+module.exports.StaticSegmentProvider = StaticSegmentProvider;
+module.exports.ControlServer = ControlServer;
+module.exports.GainTransformer = GainTransformer;
+module.exports.FILTER_PRESETS = FILTER_PRESETS;
+module.exports.formatDuration = formatDuration;
+module.exports.toPrometheus = toPrometheus;
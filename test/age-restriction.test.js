@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+
+// The YouTube libraries are replaced before Hetubed loads them
+const stub = (name, exports) => {
+  const file = require.resolve(name);
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+};
+
+const video = { id: 'aaaaaaaaaaa', url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa' };
+
+stub('@distube/ytsr', async () => ({
+  items: [{ type: 'video', id: video.id, name: 'Found', url: video.url, duration: '3:00', isLive: false, author: null }]
+}));
+
+const ytpl = async () => ({
+  id: 'PLtest',
+  title: 'List',
+  url: 'https://www.youtube.com/playlist?list=PLtest',
+  thumbnail: null,
+  author: null,
+  items: [{ id: video.id, title: 'Listed', shortUrl: video.url, duration: '3:00', thumbnail: null, isLive: false }]
+});
+ytpl.getPlaylistID = async id => id;
+ytpl.validateID = () => true;
+stub('@distube/ytpl', ytpl);
+
+const ytdl = require('@distube/ytdl-core');
+ytdl.getInfo = async () => ({
+  videoDetails: { videoId: video.id, title: 'Found', lengthSeconds: '180', age_restricted: true },
+  formats: [],
+  player_response: {}
+});
+ytdl.downloadFromInfo = () => new Readable({ read() {} });
+
+const { Hetubed, createEnv, destroy } = require('./helpers');
+
+/**
+ * Open the stream of a song in a new queue
+ * @param {Object} options Hetubed options
+ * @param {function(Hetubed): Promise<Object>} find Gets the song
+ * @returns {Promise<Object>}
+ */
+async function openStream(options, find) {
+  const { hetubed, voiceChannel } = createEnv({ cache: false, ...options });
+  const song = await find(hetubed);
+  assert.strictEqual(song.ageRestricted, false);
+  
+  try {
+    return await hetubed._getStream(song, false, hetubed._createQueue(voiceChannel));
+  } finally {
+    destroy(hetubed);
+  }
+}
+
+const search = async hetubed => (await hetubed.search('anything'))[0];
+const playlist = async hetubed => (await hetubed.youtube.resolve('PLtest')).songs[0];
+
+for (const [path, find] of [['search', search], ['playlist', playlist]]) {
+  test(`age restricted ${path} results are refused once their stream opens`, async () => {
+    await assert.rejects(openStream({}, find), error => {
+      assert.ok(error instanceof Hetubed.RestrictionError);
+      assert.strictEqual(error.code, 'NSFW_NOT_ALLOWED');
+      return true;
+    });
+  });
+  
+  test(`age restricted ${path} results play with nsfw`, async () => {
+    const { stream } = await openStream({ nsfw: true }, find);
+    assert.ok(stream instanceof Readable);
+    stream.destroy();
+  });
+}
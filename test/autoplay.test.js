@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Plugin whose related songs are fixed
+ * @param {string[]} related URLs of the related songs, in the order they are suggested
+ * @returns {Object}
+ */
+function relatedPlugin(related) {
+  return fakePlugin({
+    getRelated: async () => related.map(url => ({ id: url, title: url, url, duration: url.includes('long') ? 1000 : 100 }))
+  });
+}
+
+/**
+ * Wait for the next `playSong` event
+ * @param {Hetubed} hetubed Hetubed instance
+ * @returns {Promise<Song>}
+ */
+function nextSong(hetubed) {
+  return new Promise(resolve => hetubed.once('playSong', (_, song) => resolve(song)));
+}
+
+test('autoplay continues with a related song that was not played yet', async () => {
+  const { hetubed, voiceChannel } = createEnv({
+    plugins: [relatedPlugin(['fake:a', 'fake:b', 'fake:long', 'fake:c'])],
+    maxDuration: 500
+  });
+  
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100, autoplay: true });
+  await hetubed.play(voiceChannel, 'fake:b');
+  
+  queue.skip();
+  const started = nextSong(hetubed);
+  queue.skip();
+  
+  // a and b were played, the long one is over the duration limit
+  assert.strictEqual((await started).url, 'fake:c');
+  assert.deepStrictEqual(queue.songs.map(song => song.url), ['fake:a', 'fake:b', 'fake:c']);
+  assert.strictEqual(queue.currentSong.url, 'fake:c');
+  destroy(hetubed);
+});
+
+test('autoplay stops the queue when every related song was played', async () => {
+  const { hetubed, voiceChannel } = createEnv({ plugins: [relatedPlugin(['fake:a'])] });
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100, autoplay: true });
+  
+  const noRelated = new Promise(resolve => hetubed.once('noRelated', resolve));
+  queue.skip();
+  
+  assert.strictEqual(await noRelated, queue);
+  assert.strictEqual(queue.playing, false);
+  destroy(hetubed);
+});
+
+test('toggling autoplay reports the new state', async () => {
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()] });
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  
+  const changes = [];
+  hetubed.on('autoplayChange', (_, enabled) => changes.push(enabled));
+  
+  assert.strictEqual(queue.toggleAutoplay(), true);
+  assert.strictEqual(queue.toggleAutoplay(), false);
+  assert.deepStrictEqual(changes, [true, false]);
+  destroy(hetubed);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed } = require('./helpers');
+
+test('LRUStore drops the least recently used value when full', () => {
+  const store = new Hetubed.LRUStore(2);
+  store.set('a', 1);
+  store.set('b', 2);
+  
+  // Reading a marks it as used, b is now the oldest
+  assert.strictEqual(store.get('a'), 1);
+  store.set('c', 3);
+  
+  assert.deepStrictEqual(store.keys(), ['a', 'c']);
+  assert.strictEqual(store.get('b'), undefined);
+});
+
+test('LRUStore refreshes a value written again', () => {
+  const store = new Hetubed.LRUStore(2);
+  store.set('a', 1);
+  store.set('b', 2);
+  store.set('a', 10);
+  store.set('c', 3);
+  
+  assert.deepStrictEqual(store.keys(), ['a', 'c']);
+  assert.strictEqual(store.get('a'), 10);
+});
+
+test('ResolveCache entries expire after their time to live', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const cache = new Hetubed.ResolveCache({ ttl: 60 });
+  
+  await cache.set('short', 's', 10);
+  await cache.set('long', 'l');
+  
+  t.mock.timers.tick(10000);
+  assert.strictEqual(await cache.get('short'), undefined);
+  assert.strictEqual(await cache.get('long'), 'l');
+  
+  t.mock.timers.tick(50000);
+  assert.strictEqual(await cache.get('long'), undefined);
+  assert.deepStrictEqual(cache.store.keys(), []);
+});
+
+test('ResolveCache shares one fetch between concurrent misses', async () => {
+  const cache = new Hetubed.ResolveCache();
+  let fetches = 0;
+  const fetch = async () => {
+    fetches++;
+    await new Promise(resolve => setImmediate(resolve));
+    return 'value';
+  };
+  
+  const values = await Promise.all([cache.wrap('key', fetch), cache.wrap('key', fetch), cache.wrap('key', fetch)]);
+  
+  assert.deepStrictEqual(values, ['value', 'value', 'value']);
+  assert.strictEqual(fetches, 1);
+  assert.strictEqual(await cache.wrap('key', fetch), 'value');
+  assert.strictEqual(fetches, 1);
+});
+
+test('ResolveCache treats a failing store as a miss', async () => {
+  const store = {
+    get: async () => {
+      throw new Error('down');
+    },
+    set: async () => {
+      throw new Error('down');
+    },
+    delete: async () => {},
+    keys: async () => []
+  };
+  const cache = new Hetubed.ResolveCache({ store });
+  
+  assert.strictEqual(await cache.wrap('key', async () => 'fresh'), 'fresh');
+});
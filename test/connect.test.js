@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { getVoiceConnection, StreamType } = require('@discordjs/voice');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+test('a connection that is not ready in time is destroyed and reported', async () => {
+  const { hetubed, voiceChannel } = createEnv({ connectTimeout: 0.05 });
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  const connecting = Hetubed.Queue.prototype.connect.call(queue);
+  assert.ok(getVoiceConnection('g1'));
+  
+  await assert.rejects(connecting, error => {
+    assert.ok(error instanceof Hetubed.VoiceError);
+    assert.strictEqual(error.code, 'VOICE_CONNECT_FAILED');
+    return true;
+  });
+  
+  assert.strictEqual(queue.connection, null);
+  assert.strictEqual(getVoiceConnection('g1'), undefined);
+  destroy(hetubed);
+});
+
+test('callers connecting at the same time share one attempt', async () => {
+  const { hetubed, voiceChannel } = createEnv({ connectTimeout: 0.05 });
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  const first = Hetubed.Queue.prototype.connect.call(queue);
+  const second = Hetubed.Queue.prototype.connect.call(queue);
+  assert.strictEqual(first, second);
+  
+  await assert.rejects(first, { code: 'VOICE_CONNECT_FAILED' });
+  destroy(hetubed);
+});
+
+test('songs played while the queue is connecting start only once', async () => {
+  let streams = 0;
+  const plugin = fakePlugin({
+    getStream: () => {
+      streams++;
+      return { stream: new Readable({ read() {} }), type: StreamType.Opus };
+    }
+  });
+  
+  const { hetubed, voiceChannel } = createEnv({ plugins: [plugin] });
+  // Volume 100 keeps the Opus passthrough, no encoder needed
+  const queue = hetubed._createQueue(voiceChannel, { volume: 100 });
+  
+  let ready;
+  queue.connect = () => new Promise(resolve => ready = resolve);
+  
+  const started = [];
+  hetubed.on('playSong', (_, song) => started.push(song.url));
+  
+  const plays = [hetubed.play(voiceChannel, 'fake:one'), hetubed.play(voiceChannel, 'fake:two')];
+  await new Promise(resolve => setImmediate(resolve));
+  ready(null);
+  await Promise.all(plays);
+  
+  assert.deepStrictEqual(started, ['fake:one']);
+  assert.strictEqual(streams, 1);
+  assert.deepStrictEqual(queue.songs.map(song => song.url), ['fake:one', 'fake:two']);
+  destroy(hetubed);
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { Hetubed, createEnv, destroy } = require('./helpers');
+
+/**
+ * Start a control server on a free port
+ * @returns {Promise<Object>}
+ */
+async function start() {
+  const env = createEnv();
+  const server = await new Hetubed.ControlServer(env.hetubed, { token: 'secret', port: 0 }).listen();
+  
+  return { ...env, server };
+}
+
+/**
+ * Stop a control server and its Hetubed instance
+ * @param {Object} env Environment from start()
+ * @returns {Promise<void>}
+ */
+async function stop({ hetubed, server }) {
+  await server.close();
+  destroy(hetubed);
+}
+
+/**
+ * Send a request to a control server
+ * @param {ControlServer} server Server to ask
+ * @param {string} method HTTP method
+ * @param {string} path Request path, sent as is
+ * @param {Object} [options={}] Request options
+ * @param {?string} [options.token='secret'] Bearer token, none when `null`
+ * @param {Buffer|string} [options.body] Request body
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function send(server, method, path, { token = 'secret', body } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request({
+      host: '127.0.0.1',
+      port: server.port,
+      method,
+      path,
+      headers: token ? { authorization: `Bearer ${token}` } : {}
+    }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        body: JSON.parse(Buffer.concat(chunks).toString() || '{}')
+      }));
+    });
+    
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+test('requests without the right token are refused', async () => {
+  const env = await start();
+  
+  assert.strictEqual((await send(env.server, 'GET', '/queues', { token: 'wrong' })).status, 401);
+  assert.strictEqual((await send(env.server, 'GET', '/queues', { token: null })).status, 401);
+  assert.strictEqual((await send(env.server, 'GET', '/queues')).status, 200);
+  await stop(env);
+});
+
+test('the token is not accepted from the query string of REST requests', async () => {
+  const env = await start();
+  
+  const { status, body } = await send(env.server, 'GET', '/queues?token=secret', { token: null });
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.error, 'UNAUTHORIZED');
+  await stop(env);
+});
+
+test('malformed paths are answered with 400', async () => {
+  const env = await start();
+  const errors = [];
+  env.hetubed.on('error', (_, error) => errors.push(error));
+  
+  const { status, body } = await send(env.server, 'GET', '/queues/%E0%A4%A');
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.error, 'INVALID_ARGUMENT');
+  assert.deepStrictEqual(errors, []);
+  await stop(env);
+});
+
+test('bodies over 1 MiB are refused', async () => {
+  const env = await start();
+  
+  const { status, body } = await send(env.server, 'POST', '/queues/g1/volume', {
+    body: Buffer.alloc((1 << 20) + 1, ' ')
+  });
+  assert.strictEqual(status, 413);
+  assert.strictEqual(body.error, 'BODY_TOO_LARGE');
+  await stop(env);
+});
+
+test('event clients following a guild only get its events', async () => {
+  const env = await start();
+  const { hetubed, voiceChannel, server } = env;
+  
+  const other = { ...voiceChannel, id: 'vc2', guild: { ...voiceChannel.guild, id: 'g2' } };
+  const queues = [hetubed._createQueue(voiceChannel), new Hetubed.Queue(hetubed, other)];
+  
+  // Each client collects the guilds of the events it gets
+  const clients = await Promise.all(['&guildId=g1', '&guildId=g2', ''].map(filter => new Promise((resolve, reject) => {
+    const client = new WebSocket(`ws://127.0.0.1:${server.port}/events?token=secret${filter}`);
+    client.guilds = [];
+    client.on('message', data => client.guilds.push(JSON.parse(data).guildId));
+    client.once('open', () => resolve(client));
+    client.once('error', reject);
+  })));
+  
+  const received = Promise.all(clients.map((client, i) => new Promise(resolve => {
+    const expected = [1, 1, 2][i];
+    client.on('message', () => client.guilds.length === expected && resolve());
+  })));
+  
+  hetubed.emit('pause', queues[0]);
+  hetubed.emit('pause', queues[1]);
+  await received;
+  // Give an event sent to the wrong client the time to arrive
+  await new Promise(resolve => setTimeout(resolve, 50));
+  
+  assert.deepStrictEqual(clients.map(client => client.guilds), [['g1'], ['g2'], ['g1', 'g2']]);
+  
+  for (const client of clients) client.terminate();
+  queues[1].destroy();
+  await stop(env);
+});
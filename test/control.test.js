@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createEnv, destroy } = require('./helpers');
+
+test('listening members do not shadow the emitter listeners', () => {
+  const { hetubed, voiceChannel, members } = createEnv();
+  members.set('b1', { id: 'b1', user: { bot: true } });
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  const onPause = () => {};
+  queue.on('pause', onPause);
+  assert.deepStrictEqual(queue.listeners('pause'), [onPause]);
+  assert.deepStrictEqual(queue.listeningMembers.map(member => member.id), ['u1']);
+  destroy(hetubed);
+});
+
+test('a member alone with the bot may control the queue', () => {
+  const { hetubed, voiceChannel, members } = createEnv();
+  const queue = hetubed._createQueue(voiceChannel);
+  assert.strictEqual(queue.canControl(members.get('u1'), 'stop'), true);
+  
+  members.set('u2', { id: 'u2', user: { bot: false } });
+  assert.strictEqual(queue.canControl(members.get('u1'), 'stop'), false);
+  destroy(hetubed);
+});
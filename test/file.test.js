@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const { createEnv, destroy } = require('./helpers');
+
+// One folder files may be played from, and a file next to it that must stay out of reach
+let base, music, secret;
+
+before(() => {
+  base = fs.mkdtempSync(path.join(os.tmpdir(), 'hetubed-'));
+  music = path.join(base, 'music');
+  secret = path.join(base, 'secret.mp3');
+  
+  fs.mkdirSync(music);
+  fs.writeFileSync(path.join(music, 'song.mp3'), 'audio');
+  fs.writeFileSync(secret, 'audio');
+  fs.symlinkSync(secret, path.join(music, 'link.mp3'));
+});
+
+after(() => fs.rmSync(base, { recursive: true, force: true }));
+
+/**
+ * Check a query with the file extractor of a new instance
+ * @param {*} localFiles Value of the `localFiles` option
+ * @param {string} query Query to check
+ * @returns {Promise<boolean>}
+ */
+async function validate(localFiles, query) {
+  const { hetubed } = createEnv({ localFiles });
+  try {
+    return await hetubed.builtinExtractors.find(extractor => extractor.name === 'file').validate(query);
+  } finally {
+    destroy(hetubed);
+  }
+}
+
+test('local files are not handled without a folder', async () => {
+  assert.strictEqual(await validate(false, path.join(music, 'song.mp3')), false);
+  assert.strictEqual(await validate(true, path.join(music, 'song.mp3')), false);
+});
+
+test('files inside the folder are handled', async () => {
+  assert.strictEqual(await validate(music, path.join(music, 'song.mp3')), true);
+  assert.strictEqual(await validate(music, pathToFileURL(path.join(music, 'song.mp3')).href), true);
+  assert.strictEqual(await validate([base + '/nowhere', music], './song.mp3'), true);
+});
+
+test('files outside the folder are refused, links and dot segments included', async () => {
+  assert.strictEqual(await validate(music, secret), false);
+  assert.strictEqual(await validate(music, '../secret.mp3'), false);
+  assert.strictEqual(await validate(music, path.join(music, '..', 'secret.mp3')), false);
+  assert.strictEqual(await validate(music, path.join(music, 'link.mp3')), false);
+  assert.strictEqual(await validate(music, music), false);
+});
+
+test('saved songs outside the folder are not streamed', async () => {
+  const { hetubed } = createEnv({ localFiles: music });
+  const extractor = hetubed.builtinExtractors.find(extractor => extractor.name === 'file');
+  
+  await assert.rejects(extractor.getStream({ url: secret }), { code: 'INVALID_URL' });
+  
+  const { stream } = await extractor.getStream({ url: path.join(music, 'song.mp3') });
+  assert.strictEqual(String(await stream.toArray().then(Buffer.concat)), 'audio');
+  destroy(hetubed);
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+test('presets and plain custom chains are accepted', () => {
+  const { hetubed, voiceChannel } = createEnv({ customFilters: { loud: 'volume=2' } });
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  queue.setFilter(['nightcore', 'loud', 'aecho=0.8:0.9:1000:0.3,highpass=f=200', 'volume@v=0.5']);
+  assert.deepStrictEqual(queue.filters, ['nightcore', 'loud', 'aecho=0.8:0.9:1000:0.3,highpass=f=200', 'volume@v=0.5']);
+  destroy(hetubed);
+});
+
+test('custom chains reaching outside the audio are refused', () => {
+  const { hetubed, voiceChannel } = createEnv();
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  for (const filter of [
+    'amovie=/etc/passwd',
+    'volume=1,AMovie=/etc/passwd',
+    'asendcmd=f=/tmp/commands',
+    'ladspa=file=plugin',
+    'volume=1;amovie=x',
+    '[in]volume=1[out]',
+    "volume='1,amovie=x'",
+    'volume=1\\,amovie=x',
+    '  '
+  ]) {
+    assert.throws(() => queue.setFilter(filter), error => {
+      assert.ok(error instanceof Hetubed.QueueError);
+      return error.code === 'INVALID_FILTER';
+    }, filter);
+  }
+  
+  assert.deepStrictEqual(queue.filters, []);
+  destroy(hetubed);
+});
+
+test('unsafe filters saved in the guild settings are dropped', async () => {
+  const settings = new Hetubed.MemorySettingsProvider();
+  await settings.set('g1', { volume: 100, filters: ['amovie=/etc/passwd'] });
+  
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()], settings });
+  const queue = await hetubed.play(voiceChannel, 'fake:a');
+  
+  assert.deepStrictEqual(queue.filters, []);
+  destroy(hetubed);
+});
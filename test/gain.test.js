@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, destroy } = require('./helpers');
+
+/**
+ * Write chunks to a transformer, changing its volume between them
+ * @param {GainTransformer} gain Transformer to write to
+ * @param {Array<Buffer|number>} steps Chunks to write, or volumes to set
+ * @returns {Buffer[]} Chunks pushed out
+ */
+function run(gain, steps) {
+  const output = [];
+  gain.on('data', chunk => output.push(chunk));
+  
+  for (const step of steps) {
+    if (typeof step === 'number') gain.setVolume(step);
+    else gain.write(step);
+  }
+  
+  return output;
+}
+
+/**
+ * Stereo s16le frames holding the given samples
+ * @param {...number} samples Samples, left and right interleaved
+ * @returns {Buffer}
+ */
+function frames(...samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => buffer.writeInt16LE(sample, i * 2));
+  return buffer;
+}
+
+test('leftover bytes go out first once the volume is back to unity', () => {
+  const gain = new Hetubed.GainTransformer(0.5);
+  const input = frames(1000, -1000, 2000, -2000);
+  
+  const output = run(gain, [input.subarray(0, 3), 1, input.subarray(3)]);
+  
+  assert.ok(output.every(chunk => chunk.length % 4 === 0));
+  assert.deepStrictEqual(Buffer.concat(output), input);
+});
+
+test('unity gain keeps a partial frame for the next chunk', () => {
+  const gain = new Hetubed.GainTransformer(1);
+  const input = frames(1000, -1000, 2000, -2000);
+  
+  const output = run(gain, [input.subarray(0, 5), 0.5, input.subarray(5)]);
+  
+  assert.ok(output.every(chunk => chunk.length % 4 === 0));
+  assert.deepStrictEqual(Buffer.concat(output), frames(1000, -1000, 1000, -1000));
+});
+
+test('gain is applied to a copy of the input', () => {
+  const gain = new Hetubed.GainTransformer(0.5);
+  const input = frames(1000, -1000);
+  
+  const [output] = run(gain, [input]);
+  
+  assert.deepStrictEqual(output, frames(500, -500));
+  assert.deepStrictEqual(input, frames(1000, -1000));
+});
+
+test('loudnorm only runs for songs without loudness data when asked for', () => {
+  const { hetubed, voiceChannel } = createEnv({ normalizeVolume: true });
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  assert.strictEqual(queue._needsLoudnorm({ loudness: null }), false);
+  
+  hetubed.options.loudnorm = true;
+  assert.strictEqual(queue._needsLoudnorm({ loudness: null }), true);
+  assert.strictEqual(queue._needsLoudnorm({ loudness: -3 }), false);
+  assert.strictEqual(queue._needsLoudnorm({ loudness: null, isLive: true }), false);
+  destroy(hetubed);
+});
+
+test('Opus songs are only passed through at volume 100', () => {
+  const { hetubed, voiceChannel } = createEnv();
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  assert.strictEqual(queue.options.volume, 50);
+  assert.strictEqual(queue._needsVolumeStage({ loudness: null }), true);
+  
+  queue.setVolume(100);
+  assert.strictEqual(queue._needsVolumeStage({ loudness: null }), false);
+  destroy(hetubed);
+});
@@ -0,0 +1,71 @@
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const { StreamType } = require('@discordjs/voice');
+const Hetubed = require('../hetubed.js');
+
+/**
+ * Create a Hetubed instance on a fake client with one guild, one voice channel and one listener
+ * @param {Object} [options={}] Hetubed options
+ * @returns {Object}
+ */
+function createEnv(options = {}) {
+  const client = new EventEmitter();
+  client.user = { id: 'bot' };
+  
+  const members = new Map([['u1', { id: 'u1', user: { bot: false } }]]);
+  const collection = {
+    filter: fn => {
+      const found = [...members.values()].filter(fn);
+      return { size: found.length, values: () => found.values() };
+    },
+    get size() {
+      return members.size;
+    }
+  };
+  
+  const guild = { id: 'g1', voiceAdapterCreator: () => ({ sendPayload: () => true, destroy() {} }) };
+  const voiceChannel = { id: 'vc1', guild, members: collection };
+  client.channels = { cache: new Map([['vc1', voiceChannel]]) };
+  
+  const hetubed = new Hetubed(client, options);
+  
+  // Without Discord's gateway a connection never gets ready, queues play without one
+  const createQueue = hetubed._createQueue.bind(hetubed);
+  hetubed._createQueue = (...args) => {
+    const queue = createQueue(...args);
+    queue.connect = async () => null;
+    return queue;
+  };
+  
+  return { client, hetubed, voiceChannel, members };
+}
+
+/**
+ * Plugin resolving `fake:` queries to 100 second songs with silent streams
+ * @param {Object} [overrides={}] Plugin methods to replace
+ * @returns {Object}
+ */
+function fakePlugin(overrides = {}) {
+  return {
+    name: 'fake',
+    validate: query => query.startsWith('fake:'),
+    resolve: async query => ({ id: query, title: query, url: query, duration: 100 }),
+    search: async query => [{ id: `s-${query}`, title: query, url: query, duration: 100 }],
+    getStream: () => ({ stream: new Readable({ read() {} }), type: StreamType.Opus }),
+    ...overrides
+  };
+}
+
+/**
+ * Stop every queue and timer of a Hetubed instance so the test process can exit
+ * @param {Hetubed} hetubed Hetubed instance
+ */
+function destroy(hetubed) {
+  for (const [guildId, queue] of hetubed.queues) {
+    queue.destroy();
+    hetubed.queues.delete(guildId);
+  }
+  hetubed._cleanup();
+}
+
+module.exports = { Hetubed, createEnv, fakePlugin, destroy };
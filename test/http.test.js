@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const assert = require('node:assert');
+const http = require('http');
+const { Hetubed, createEnv, destroy } = require('./helpers');
+
+// Anything reaching this server got past the private address check
+let hits = 0;
+const server = http.createServer((request, response) => {
+  hits++;
+  response.end('audio');
+});
+const listening = new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+after(() => server.close());
+
+/**
+ * Resolve a URL with the HTTP extractor of a new instance
+ * @param {string} url URL to resolve
+ * @returns {Promise<Song>}
+ */
+async function resolve(url) {
+  const { hetubed } = createEnv({ httpStreams: true });
+  try {
+    return await hetubed.builtinExtractors.find(extractor => extractor.name === 'http').resolve(url);
+  } finally {
+    destroy(hetubed);
+  }
+}
+
+test('HTTP URLs are not handled unless httpStreams is set', async () => {
+  const { hetubed } = createEnv();
+  const extractor = hetubed.builtinExtractors.find(extractor => extractor.name === 'http');
+  assert.strictEqual(await extractor.validate('https://example.com/song.mp3'), false);
+  
+  hetubed.options.httpStreams = true;
+  assert.strictEqual(await extractor.validate('https://example.com/song.mp3'), true);
+  destroy(hetubed);
+});
+
+test('private addresses are refused, by IP or by name', async () => {
+  await listening;
+  const { port } = server.address();
+  
+  for (const host of ['127.0.0.1', '[::ffff:127.0.0.1]', '[::1]', 'localhost', '10.0.0.1', '169.254.169.254']) {
+    await assert.rejects(resolve(`http://${host}:${port}/song.mp3`), error => {
+      assert.ok(error instanceof Hetubed.StreamError, host);
+      assert.strictEqual(error.code, 'PRIVATE_ADDRESS', host);
+      return true;
+    });
+  }
+  
+  assert.strictEqual(hits, 0);
+});
+
+/**
+ * Answer the next HTTP requests with a fixed response, as a public host would
+ * @param {Object} t Test context
+ * @param {Object} headers Response headers
+ * @returns {Readable[]} Bodies handed out
+ */
+function respond(t, headers) {
+  const bodies = [];
+  t.mock.method(http, 'get', (url, options, callback) => {
+    const body = new Readable({ read() {} });
+    Object.assign(body, { statusCode: 200, headers });
+    bodies.push(body);
+    process.nextTick(callback, body);
+    
+    const request = new EventEmitter();
+    request.destroy = () => {};
+    return request;
+  });
+  return bodies;
+}
+
+test('HLS playlists are refused, their segments would bypass the check', async t => {
+  const bodies = respond(t, { 'content-type': 'application/vnd.apple.mpegurl' });
+  
+  await assert.rejects(resolve('http://93.184.216.34/live'), { code: 'HLS_NOT_SUPPORTED' });
+  await assert.rejects(resolve('http://93.184.216.34/live.m3u8?token=1'), { code: 'HLS_NOT_SUPPORTED' });
+  assert.ok(bodies.every(body => body.destroyed));
+});
+
+test('radios are described from the checked response', async t => {
+  const bodies = respond(t, { 'content-type': 'audio/mpeg', 'icy-name': 'Radio', 'icy-metaint': '16000' });
+  
+  const song = await resolve('http://93.184.216.34/stream');
+  const [body] = bodies;
+  
+  assert.strictEqual(song.title, 'Radio');
+  assert.strictEqual(song.isLive, true);
+  assert.strictEqual(song.url, 'http://93.184.216.34/stream');
+  assert.ok(body.destroyed);
+  assert.strictEqual(http.get.mock.callCount(), 1);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+test('imported songs pick their extractor from the URL, not the claimed source', async () => {
+  const { hetubed } = createEnv({ plugins: [fakePlugin()] });
+  
+  await assert.rejects(
+    hetubed.importPlaylist([{ source: 'file', id: 'x', url: '/etc/passwd' }]),
+    { code: 'EMPTY_PLAYLIST' }
+  );
+  
+  const [song] = await hetubed.importPlaylist([{ source: 'file', id: 'x', url: 'fake:a', title: 'A' }]);
+  assert.strictEqual(song.source, 'fake');
+  destroy(hetubed);
+});
+
+test('imported songs drop untrusted fields and stay partial', async () => {
+  const { hetubed } = createEnv({ plugins: [fakePlugin()] });
+  const [song] = await hetubed.importPlaylist(JSON.stringify([{
+    id: 'fake:a',
+    url: 'fake:a',
+    title: 'A',
+    duration: 42,
+    ageRestricted: false,
+    segments: [{ start: 0, end: 10, category: 'intro' }],
+    streamType: 'raw'
+  }]));
+  
+  assert.strictEqual(song.partial, true);
+  assert.strictEqual(song.duration, 42);
+  assert.strictEqual(song.ageRestricted, false);
+  assert.ok(!('segments' in song));
+  assert.ok(!('streamType' in song));
+  destroy(hetubed);
+});
+
+test('restrictions are checked again once an imported song is resolved', async () => {
+  const plugin = fakePlugin({
+    resolve: async query => ({ id: query, title: query, url: query, duration: 100, ageRestricted: true })
+  });
+  const { hetubed, voiceChannel } = createEnv({ plugins: [plugin] });
+  const [song] = await hetubed.importPlaylist([{ url: 'fake:a', ageRestricted: false }]);
+  const queue = hetubed._createQueue(voiceChannel);
+  
+  await assert.rejects(hetubed._getStream(song, false, queue), error => {
+    assert.ok(error instanceof Hetubed.RestrictionError);
+    assert.strictEqual(error.code, 'NSFW_NOT_ALLOWED');
+    return true;
+  });
+  destroy(hetubed);
+});
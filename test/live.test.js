@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { StreamType } = require('@discordjs/voice');
+const { createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Start a queue playing a live song whose streams never send anything, followed by a regular song
+ * @param {TestContext} t Test context, whose timers and clock are mocked
+ * @param {function(): boolean} checkLive Whether the broadcast is still live
+ * @returns {Promise<Object>}
+ */
+async function start(t, checkLive) {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: 0 });
+  
+  const streams = [];
+  const plugin = fakePlugin({
+    resolve: async query => ({ id: query, title: query, url: query, duration: 0, isLive: query.includes('live') }),
+    getStream: song => {
+      const stream = new Readable({ read() {} });
+      streams.push({ url: song.url, stream });
+      return { stream, type: StreamType.Opus };
+    },
+    checkLive: async () => checkLive()
+  });
+  
+  const { hetubed, voiceChannel } = createEnv({ plugins: [plugin], liveStallTimeout: 15, prefetchSeconds: 0 });
+  const queue = await hetubed.play(voiceChannel, 'fake:live', { volume: 100 });
+  await hetubed.play(voiceChannel, 'fake:next');
+  
+  return { hetubed, queue, streams };
+}
+
+/**
+ * Let the clock run and the recovery it triggers settle
+ * @param {TestContext} t Test context
+ * @param {number} ms Milliseconds to advance
+ * @returns {Promise<void>}
+ */
+async function elapse(t, ms) {
+  t.mock.timers.tick(ms);
+  for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+test('a stalled live stream reconnects at the live edge', async t => {
+  const { hetubed, queue, streams } = await start(t, () => true);
+  
+  await elapse(t, 20000);
+  
+  assert.deepStrictEqual(streams.map(({ url }) => url), ['fake:live', 'fake:live']);
+  assert.strictEqual(streams[0].stream.destroyed, true);
+  assert.strictEqual(queue.currentSong.url, 'fake:live');
+  assert.strictEqual(hetubed.stats().liveReconnects, 1);
+  destroy(hetubed);
+});
+
+test('a broadcast that ended emits liveEnded and moves on', async t => {
+  const { hetubed, queue } = await start(t, () => false);
+  
+  const ended = [];
+  hetubed.on('liveEnded', (_, song) => ended.push(song.url));
+  await elapse(t, 20000);
+  
+  assert.deepStrictEqual(ended, ['fake:live']);
+  assert.strictEqual(queue.currentSong.url, 'fake:next');
+  assert.strictEqual(hetubed.stats().liveReconnects, 0);
+  destroy(hetubed);
+});
+
+test('a paused live stream is not taken for a stall', async t => {
+  const { hetubed, queue, streams } = await start(t, () => true);
+  
+  queue.pause();
+  await elapse(t, 60000);
+  
+  assert.strictEqual(streams.length, 1);
+  destroy(hetubed);
+});
+
+test('live songs cannot be seeked', async t => {
+  const { hetubed, queue } = await start(t, () => true);
+  
+  assert.throws(() => queue.seek(10), { code: 'LIVE_NOT_SEEKABLE' });
+  destroy(hetubed);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, destroy } = require('./helpers');
+
+test('latency histograms count cumulatively, slow calls only in the total', () => {
+  const { hetubed } = createEnv();
+  const histogram = hetubed._metrics.resolves.ytdl;
+  
+  histogram.observe(0.05);
+  histogram.observe(0.3, true);
+  histogram.observe(0.5);
+  histogram.observe(60);
+  
+  const { buckets, sum, count, errors } = hetubed.stats().resolves.ytdl;
+  assert.deepStrictEqual(buckets.slice(0, 3), [{ le: 0.1, count: 1 }, { le: 0.25, count: 1 }, { le: 0.5, count: 3 }]);
+  assert.strictEqual(buckets[buckets.length - 1].count, 3);
+  assert.strictEqual(count, 4);
+  assert.strictEqual(errors, 1);
+  assert.ok(Math.abs(sum - 60.85) < 1e-9);
+  destroy(hetubed);
+});
+
+test('measured calls are recorded, failures as errors', async () => {
+  const { hetubed } = createEnv();
+  
+  assert.strictEqual(await hetubed._measure('ytsr', async () => 'ok'), 'ok');
+  await assert.rejects(hetubed._measure('ytsr', async () => {
+    throw new Error('down');
+  }), { message: 'down' });
+  
+  const { count, errors } = hetubed.stats().resolves.ytsr;
+  assert.strictEqual(count, 2);
+  assert.strictEqual(errors, 1);
+  destroy(hetubed);
+});
+
+test('Prometheus output has every histogram series and escapes labels', () => {
+  const histogram = { buckets: [{ le: 0.1, count: 1 }, { le: 1, count: 2 }], sum: 0.6, count: 3, errors: 1 };
+  const text = Hetubed.toPrometheus({
+    queues: 1,
+    playing: 1,
+    paused: 0,
+    songs: 4,
+    resolves: { ytdl: histogram },
+    streamErrors: 2,
+    streamRetries: 1,
+    streamFailures: 0,
+    liveReconnects: 0,
+    voiceReconnects: 0,
+    guilds: [{ guildId: 'a"b\\c\nd', buffered: 10, outputFrames: 5, prefetched: true }]
+  });
+  const lines = text.split('\n');
+  
+  assert.ok(text.endsWith('\n'));
+  assert.ok(lines.includes('# TYPE hetubed_resolve_duration_seconds histogram'));
+  assert.ok(lines.includes('hetubed_resolve_duration_seconds_bucket{call="ytdl",le="0.1"} 1'));
+  assert.ok(lines.includes('hetubed_resolve_duration_seconds_bucket{call="ytdl",le="1"} 2'));
+  assert.ok(lines.includes('hetubed_resolve_duration_seconds_bucket{call="ytdl",le="+Inf"} 3'));
+  assert.ok(lines.includes('hetubed_resolve_duration_seconds_sum{call="ytdl"} 0.6'));
+  assert.ok(lines.includes('hetubed_resolve_duration_seconds_count{call="ytdl"} 3'));
+  assert.ok(lines.includes('hetubed_resolve_errors_total{call="ytdl"} 1'));
+  assert.ok(lines.includes('hetubed_queues 1'));
+  assert.ok(lines.includes('hetubed_queue_buffered_bytes{guild="a\\"b\\\\c\\nd"} 10'));
+  assert.ok(lines.includes('hetubed_queue_prefetched{guild="a\\"b\\\\c\\nd"} 1'));
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { StreamType, AudioPlayerStatus, NoSubscriberBehavior } = require('@discordjs/voice');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Plugin whose streams are handed out to the test
+ * @param {Readable[]} streams Receives every stream opened
+ * @returns {Object}
+ */
+function streamPlugin(streams) {
+  return fakePlugin({
+    getStream: () => {
+      const stream = new Readable({ read() {} });
+      streams.push(stream);
+      return { stream, type: StreamType.Opus };
+    }
+  });
+}
+
+/**
+ * Start a queue whose streams are handed out to the test, playing without a voice connection
+ * @returns {Promise<Object>}
+ */
+async function start() {
+  const streams = [];
+  const { hetubed, voiceChannel } = createEnv({ plugins: [streamPlugin(streams)] });
+  // Volume 100 keeps the Opus passthrough, no encoder needed
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  queue.player.behaviors.noSubscriber = NoSubscriberBehavior.Play;
+  
+  return { hetubed, queue, streams };
+}
+
+/**
+ * Feed a stream until the player reports a status
+ * @param {Queue} queue Queue to watch
+ * @param {Readable} stream Stream to feed
+ * @param {AudioPlayerStatus} status Status to wait for
+ * @returns {Promise<void>}
+ */
+async function feedUntil(queue, stream, status) {
+  for (let i = 0; i < 100 && queue.player.state.status !== status; i++) {
+    stream.push(Buffer.alloc(10));
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('a paused song stays paused when its stream restarts', async () => {
+  const { hetubed, queue, streams } = await start();
+  await feedUntil(queue, streams[0], AudioPlayerStatus.Playing);
+  queue.pause();
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Paused);
+  
+  await queue._restartStream(0);
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Buffering);
+  
+  await feedUntil(queue, streams[1], AudioPlayerStatus.Paused);
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Paused);
+  assert.strictEqual(queue.paused, true);
+  destroy(hetubed);
+});
+
+test('resuming while the restarted stream buffers cancels the pending pause', async () => {
+  const { hetubed, queue, streams } = await start();
+  await feedUntil(queue, streams[0], AudioPlayerStatus.Playing);
+  queue.pause();
+  await queue._restartStream(0);
+  queue.resume();
+  
+  await feedUntil(queue, streams[1], AudioPlayerStatus.Playing);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Playing);
+  destroy(hetubed);
+});
+
+test('a paused song stays paused when its stream is recovered', async () => {
+  const { hetubed, queue, streams } = await start();
+  hetubed.options.streamRetryDelay = 0;
+  await feedUntil(queue, streams[0], AudioPlayerStatus.Playing);
+  queue.pause();
+  
+  await queue._recoverStream(queue.currentSong, new Error('socket hang up'), 0);
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Buffering);
+  
+  await feedUntil(queue, streams[1], AudioPlayerStatus.Paused);
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Paused);
+  destroy(hetubed);
+});
+
+test('a queue saved while paused is restored paused', async () => {
+  const streams = [];
+  const storage = new Hetubed.MemoryStore();
+  await storage.set('queue:g1', {
+    voiceChannelId: 'vc1',
+    textChannelId: null,
+    songs: [{ id: 'fake:a', url: 'fake:a', title: 'A', duration: 100, source: 'fake' }],
+    currentIndex: 0,
+    position: 0,
+    paused: true,
+    volume: 100,
+    repeatMode: 0,
+    autoplay: false,
+    filters: []
+  });
+  
+  const { hetubed } = createEnv({ plugins: [streamPlugin(streams)], storage });
+  const [queue] = await hetubed.restoreQueues();
+  queue.player.behaviors.noSubscriber = NoSubscriberBehavior.Play;
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Buffering);
+  
+  await feedUntil(queue, streams[0], AudioPlayerStatus.Paused);
+  assert.strictEqual(queue.player.state.status, AudioPlayerStatus.Paused);
+  assert.strictEqual(queue.paused, true);
+  destroy(hetubed);
+});
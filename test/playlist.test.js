@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+test('the rest of a lazy playlist goes right behind its first page', async () => {
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()] });
+  const queue = hetubed._createQueue(voiceChannel);
+  const song = url => ({ id: url, url, title: url, duration: 100, source: 'fake' });
+  
+  const playlist = new Hetubed.Playlist({
+    source: 'fake',
+    songs: [song('fake:a'), song('fake:b')],
+    loadMore: async () => [song('fake:c'), song('fake:d')]
+  });
+  await queue.addSong(playlist, null);
+  await queue.addSong(song('fake:x'), null);
+  
+  const loaded = new Promise(resolve => hetubed.once('playlistLoad', resolve));
+  await hetubed._loadMore(queue, playlist, null);
+  await loaded;
+  
+  assert.deepStrictEqual(queue.songs.map(({ url }) => url), ['fake:a', 'fake:b', 'fake:c', 'fake:d', 'fake:x']);
+  assert.strictEqual(playlist.songs.length, 4);
+  assert.strictEqual(playlist.loadMore, null);
+  destroy(hetubed);
+});
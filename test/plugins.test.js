@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { StreamType } = require('@discordjs/voice');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Fake plugin recording which of its methods were called
+ * @param {string} name Plugin name
+ * @param {string[]} calls Receives `name.method` for every call
+ * @param {Object} [overrides={}] Plugin methods to replace
+ * @returns {Object}
+ */
+function recordingPlugin(name, calls, overrides = {}) {
+  const plugin = fakePlugin({
+    name,
+    resolve: async query => ({ id: query, title: `${name} ${query}`, url: query, duration: 100 }),
+    search: async query => [{ id: `${name}-${query}`, title: query, url: `fake:${query}`, duration: 100 }],
+    getStream: () => ({ stream: new Readable({ read() {} }), type: StreamType.Opus }),
+    ...overrides
+  });
+  
+  for (const method of ['validate', 'resolve', 'search', 'getStream']) {
+    const original = plugin[method];
+    plugin[method] = (...args) => {
+      calls.push(`${name}.${method}`);
+      return original(...args);
+    };
+  }
+  
+  return plugin;
+}
+
+test('the first plugin handling a query resolves and streams it', async () => {
+  const calls = [];
+  const { hetubed, voiceChannel } = createEnv({
+    plugins: [recordingPlugin('first', calls), recordingPlugin('second', calls)]
+  });
+  
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  
+  assert.strictEqual(queue.currentSong.title, 'first fake:a');
+  assert.strictEqual(queue.currentSong.source, 'first');
+  assert.deepStrictEqual(calls, ['first.validate', 'first.resolve', 'first.getStream']);
+  destroy(hetubed);
+});
+
+test('free-text queries go to the first plugin with search results', async () => {
+  const calls = [];
+  const { hetubed, voiceChannel } = createEnv({
+    plugins: [
+      recordingPlugin('empty', calls, { search: async () => [] }),
+      recordingPlugin('found', calls)
+    ]
+  });
+  
+  const queue = await hetubed.play(voiceChannel, 'some song', { volume: 100 });
+  
+  assert.strictEqual(queue.currentSong.source, 'found');
+  assert.deepStrictEqual(calls, [
+    'empty.validate', 'found.validate', 'empty.search', 'found.search', 'found.getStream'
+  ]);
+  destroy(hetubed);
+});
+
+test('plugin names must be unique, built-in extractors included', () => {
+  const { hetubed } = createEnv({ plugins: [fakePlugin()] });
+  
+  assert.throws(() => hetubed.addPlugin(fakePlugin()), { code: 'DUPLICATE_PLUGIN' });
+  assert.throws(() => hetubed.addPlugin(fakePlugin({ name: 'youtube' })), { code: 'DUPLICATE_PLUGIN' });
+  assert.throws(() => hetubed.addPlugin(null), error => error instanceof Hetubed.HetubedError && error.code === 'INVALID_PLUGIN');
+  destroy(hetubed);
+});
@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { StreamType } = require('@discordjs/voice');
+const { createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Start a queue of 100 second songs, with the next one prefetched 10 seconds before the end
+ * of the first
+ * @param {TestContext} t Test context, whose timers are mocked
+ * @param {string[]} ids Songs to queue
+ * @returns {Promise<Object>}
+ */
+async function start(t, ids) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  
+  // Every stream opened, by song
+  const streams = {};
+  const plugin = fakePlugin({
+    getStream: song => {
+      const stream = new Readable({ read() {} });
+      (streams[song.url] ||= []).push(stream);
+      return { stream, type: StreamType.Opus };
+    }
+  });
+  
+  const { hetubed, voiceChannel } = createEnv({ plugins: [plugin], prefetchSeconds: 10 });
+  const queue = await hetubed.play(voiceChannel, `fake:${ids[0]}`, { volume: 100 });
+  for (const id of ids.slice(1)) await hetubed.play(voiceChannel, `fake:${id}`);
+  
+  t.mock.timers.tick(90000);
+  await new Promise(resolve => setImmediate(resolve));
+  
+  return { hetubed, queue, streams };
+}
+
+test('the next song is buffered before the current one ends and used when it starts', async t => {
+  const { hetubed, queue, streams } = await start(t, ['a', 'b']);
+  assert.strictEqual(streams['fake:b'].length, 1);
+  
+  queue.skip();
+  await new Promise(resolve => setImmediate(resolve));
+  
+  assert.strictEqual(streams['fake:b'].length, 1);
+  assert.strictEqual(streams['fake:b'][0].destroyed, false);
+  assert.strictEqual(queue.bufferHealth.prefetched, false);
+  destroy(hetubed);
+});
+
+test('jumping past the prefetched song discards its stream', async t => {
+  const { hetubed, queue, streams } = await start(t, ['a', 'b', 'c']);
+  
+  queue.jump(2);
+  await new Promise(resolve => setImmediate(resolve));
+  
+  assert.strictEqual(streams['fake:b'][0].destroyed, true);
+  assert.strictEqual(queue.currentSong.url, 'fake:c');
+  destroy(hetubed);
+});
+
+test('removing the prefetched song discards its stream', async t => {
+  const { hetubed, queue, streams } = await start(t, ['a', 'b', 'c']);
+  
+  queue.remove(1);
+  
+  assert.strictEqual(streams['fake:b'][0].destroyed, true);
+  destroy(hetubed);
+});
+
+test('a shuffle that changes the next song discards the prefetched stream', async t => {
+  const { hetubed, queue, streams } = await start(t, ['a', 'b', 'c']);
+  
+  // Swaps b and c
+  t.mock.method(Math, 'random', () => 0);
+  queue.shuffle();
+  
+  assert.deepStrictEqual(queue.songs.map(song => song.url), ['fake:a', 'fake:c', 'fake:b']);
+  assert.strictEqual(streams['fake:b'][0].destroyed, true);
+  destroy(hetubed);
+});
+
+test('stopping discards the prefetched stream', async t => {
+  const { hetubed, queue, streams } = await start(t, ['a', 'b']);
+  
+  queue.stop();
+  
+  assert.strictEqual(streams['fake:b'][0].destroyed, true);
+  assert.strictEqual(streams['fake:a'][0].destroyed, true);
+  destroy(hetubed);
+});
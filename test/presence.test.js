@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Voice state update of a member
+ * @param {string} memberId Member ID
+ * @param {?string} channelId Channel the member is in
+ * @returns {Object}
+ */
+function voiceState(memberId, channelId) {
+  return { guild: { id: 'g1' }, member: { id: memberId }, channelId };
+}
+
+/**
+ * Record the events of a Hetubed instance
+ * @param {Hetubed} hetubed Hetubed instance
+ * @param {string[]} events Events to record
+ * @returns {string[]} Names of the events, in emit order
+ */
+function record(hetubed, events) {
+  const emitted = [];
+  for (const event of events) {
+    hetubed.on(event, () => emitted.push(event));
+  }
+  return emitted;
+}
+
+test('a forced disconnect only emits disconnect', async () => {
+  const { client, hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()], leaveOnStop: true });
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  const emitted = record(hetubed, ['leave', 'empty', 'disconnect']);
+  
+  client.emit('voiceStateUpdate', voiceState('bot', 'vc1'), voiceState('bot', null));
+  
+  assert.deepStrictEqual(emitted, ['disconnect']);
+  assert.strictEqual(hetubed.getQueue('g1'), undefined);
+  assert.strictEqual(queue.playing, false);
+  destroy(hetubed);
+});
+
+test('an empty channel is left after the cooldown, unless someone rejoins', t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { client, hetubed, voiceChannel, members } = createEnv({ emptyCooldown: 60 });
+  hetubed._createQueue(voiceChannel);
+  const emitted = record(hetubed, ['empty', 'leave']);
+  
+  members.delete('u1');
+  client.emit('voiceStateUpdate', voiceState('u1', 'vc1'), voiceState('u1', null));
+  t.mock.timers.tick(30000);
+  
+  members.set('u1', { id: 'u1', user: { bot: false } });
+  client.emit('voiceStateUpdate', voiceState('u1', null), voiceState('u1', 'vc1'));
+  t.mock.timers.tick(60000);
+  assert.deepStrictEqual(emitted, []);
+  
+  members.delete('u1');
+  client.emit('voiceStateUpdate', voiceState('u1', 'vc1'), voiceState('u1', null));
+  // Moving around in the empty channel does not push the leave out
+  client.emit('voiceStateUpdate', voiceState('u2', null), voiceState('u2', 'vc1'));
+  t.mock.timers.tick(59999);
+  assert.deepStrictEqual(emitted, []);
+  
+  t.mock.timers.tick(1);
+  assert.deepStrictEqual(emitted, ['empty', 'leave']);
+  assert.strictEqual(hetubed.getQueue('g1'), undefined);
+  destroy(hetubed);
+});
+
+test('24/7 mode keeps an empty channel, and disabling it plans the leave', t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { client, hetubed, voiceChannel, members } = createEnv({ emptyCooldown: 60 });
+  hetubed._createQueue(voiceChannel);
+  hetubed.setAlwaysOn('g1');
+  const emitted = record(hetubed, ['leave']);
+  
+  members.delete('u1');
+  client.emit('voiceStateUpdate', voiceState('u1', 'vc1'), voiceState('u1', null));
+  t.mock.timers.tick(120000);
+  assert.deepStrictEqual(emitted, []);
+  
+  hetubed.setAlwaysOn('g1', false);
+  t.mock.timers.tick(60000);
+  assert.deepStrictEqual(emitted, ['leave']);
+  destroy(hetubed);
+});
+
+test('24/7 mode is saved with the guild settings and comes back with the next queue', async () => {
+  const settings = new Hetubed.MemorySettingsProvider();
+  await settings.set('g1', { volume: 80 });
+  
+  const first = createEnv({ settings });
+  first.hetubed.setAlwaysOn('g1');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(await settings.get('g1'), { volume: 80, alwaysOn: true });
+  destroy(first.hetubed);
+  
+  const second = createEnv({ settings, plugins: [fakePlugin()] });
+  assert.strictEqual(second.hetubed.isAlwaysOn('g1'), false);
+  const queue = await second.hetubed.play(second.voiceChannel, 'fake:a');
+  assert.strictEqual(second.hetubed.isAlwaysOn('g1'), true);
+  assert.strictEqual(queue.options.volume, 80);
+  assert.ok(!('alwaysOn' in queue.options));
+  destroy(second.hetubed);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Start a queue playing the first of some fake songs
+ * @param {string[]} ids Songs to queue
+ * @param {Object} [options={}] Hetubed options
+ * @returns {Promise<Object>}
+ */
+async function start(ids, options = {}) {
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()], ...options });
+  const queue = await hetubed.play(voiceChannel, `fake:${ids[0]}`, { volume: 100 });
+  for (const id of ids.slice(1)) await hetubed.play(voiceChannel, `fake:${id}`);
+  
+  const started = [];
+  hetubed.on('playSong', (_, song) => started.push(song.url));
+  
+  return { hetubed, queue, started, current: () => queue.currentSong.url };
+}
+
+test('previous goes back to the song played before and plays it', async () => {
+  const { hetubed, queue, started, current } = await start(['a', 'b', 'c']);
+  
+  queue.skip();
+  queue.skip();
+  assert.strictEqual(current(), 'fake:c');
+  
+  queue.previous();
+  assert.strictEqual(current(), 'fake:b');
+  queue.previous();
+  assert.strictEqual(current(), 'fake:a');
+  
+  // Starts replaced before their stream was ready are dropped, only the last one plays
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual(started, ['fake:a']);
+  destroy(hetubed);
+});
+
+test('without history previous fails, unless the whole queue repeats', async () => {
+  const { hetubed, queue, current } = await start(['a', 'b', 'c']);
+  
+  assert.throws(() => queue.previous(), error => {
+    assert.ok(error instanceof Hetubed.QueueError);
+    return error.code === 'NO_PREVIOUS';
+  });
+  
+  queue.setRepeatMode(2);
+  queue.previous();
+  assert.strictEqual(current(), 'fake:c');
+  destroy(hetubed);
+});
+
+test('repeating a song does not add it to the history again', async () => {
+  const { hetubed, queue, current } = await start(['a', 'b']);
+  queue.skip();
+  queue.setRepeatMode(1);
+  
+  // The song ends and starts over
+  queue.player.emit('idle');
+  assert.strictEqual(current(), 'fake:b');
+  assert.deepStrictEqual(queue.getHistory().map(song => song.url), ['fake:a']);
+  
+  queue.previous();
+  assert.strictEqual(current(), 'fake:a');
+  destroy(hetubed);
+});
+
+test('a removed song comes back in front of the current one', async () => {
+  const { hetubed, queue, current } = await start(['a', 'b', 'c']);
+  queue.skip();
+  queue.remove(0);
+  
+  queue.previous();
+  assert.strictEqual(current(), 'fake:a');
+  assert.deepStrictEqual(queue.songs.map(song => song.url), ['fake:a', 'fake:b', 'fake:c']);
+  destroy(hetubed);
+});
+
+test('the history keeps the last maxPreviousSongs songs', async () => {
+  const { hetubed, queue } = await start(['a', 'b', 'c', 'd'], { maxPreviousSongs: 2 });
+  
+  queue.skip();
+  queue.skip();
+  queue.skip();
+  assert.deepStrictEqual(queue.getHistory().map(song => song.url), ['fake:b', 'fake:c']);
+  destroy(hetubed);
+});
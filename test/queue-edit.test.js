@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, destroy } = require('./helpers');
+
+/**
+ * Queue holding songs a to e, playing c
+ * @returns {Object}
+ */
+function setup() {
+  const { hetubed, voiceChannel } = createEnv();
+  const queue = hetubed._createQueue(voiceChannel);
+  queue.songs = ['a', 'b', 'c', 'd', 'e'].map(id => ({ id, url: id, title: id, duration: 100 }));
+  queue.currentIndex = 2;
+  
+  return { hetubed, queue, ids: () => queue.songs.map(song => song.id) };
+}
+
+test('removing a song before the current one keeps the current song', () => {
+  const { hetubed, queue, ids } = setup();
+  
+  const [removed] = queue.remove(0);
+  
+  assert.strictEqual(removed.id, 'a');
+  assert.deepStrictEqual(ids(), ['b', 'c', 'd', 'e']);
+  assert.strictEqual(queue.currentSong.id, 'c');
+  assert.throws(() => queue.remove(queue.currentIndex), { code: 'INVALID_POSITION' });
+  destroy(hetubed);
+});
+
+test('removing by predicate skips the current song', () => {
+  const { hetubed, queue, ids } = setup();
+  
+  const removed = queue.remove(song => song.id !== 'e');
+  
+  assert.deepStrictEqual(removed.map(song => song.id), ['a', 'b', 'd']);
+  assert.deepStrictEqual(ids(), ['c', 'e']);
+  assert.strictEqual(queue.currentIndex, 0);
+  destroy(hetubed);
+});
+
+test('moving songs around the current one keeps it current', () => {
+  const { hetubed, queue, ids } = setup();
+  
+  queue.move(0, 4);
+  assert.deepStrictEqual(ids(), ['b', 'c', 'd', 'e', 'a']);
+  assert.strictEqual(queue.currentIndex, 1);
+  
+  queue.move(1, 3);
+  assert.deepStrictEqual(ids(), ['b', 'd', 'e', 'c', 'a']);
+  assert.strictEqual(queue.currentSong.id, 'c');
+  
+  assert.throws(() => queue.move(0, 5), error => error instanceof Hetubed.QueueError);
+  destroy(hetubed);
+});
+
+test('swapping the current song follows it', () => {
+  const { hetubed, queue, ids } = setup();
+  
+  queue.swap(2, 4);
+  
+  assert.deepStrictEqual(ids(), ['a', 'b', 'e', 'd', 'c']);
+  assert.strictEqual(queue.currentIndex, 4);
+  destroy(hetubed);
+});
+
+test('duplicates of the current song go, the first of the others stays', () => {
+  const { hetubed, queue, ids } = setup();
+  queue.songs.push({ id: 'c', url: 'c' }, { id: 'a', url: 'a' }, { id: 'f', url: 'f' });
+  
+  const removed = queue.removeDuplicates();
+  
+  assert.deepStrictEqual(removed.map(song => song.id), ['c', 'a']);
+  assert.deepStrictEqual(ids(), ['a', 'b', 'c', 'd', 'e', 'f']);
+  assert.strictEqual(queue.currentIndex, 2);
+  destroy(hetubed);
+});
+
+test('clearing the upcoming songs keeps the history and the current song', () => {
+  const { hetubed, queue, ids } = setup();
+  
+  queue.clearUpcoming();
+  
+  assert.deepStrictEqual(ids(), ['a', 'b', 'c']);
+  assert.strictEqual(queue.currentIndex, 2);
+  destroy(hetubed);
+});
+
+test('inserting before the current song shifts it', async () => {
+  const { hetubed, queue, ids } = setup();
+  
+  await queue.addSong({ id: 'x', url: 'x', title: 'x', duration: 100 }, null, { position: 1 });
+  
+  assert.deepStrictEqual(ids(), ['a', 'x', 'b', 'c', 'd', 'e']);
+  assert.strictEqual(queue.currentSong.id, 'c');
+  destroy(hetubed);
+});
+
+test('adding an empty list is refused', async () => {
+  const { hetubed, queue, ids } = setup();
+  
+  await assert.rejects(queue.addSong([]), { code: 'EMPTY_PLAYLIST' });
+  await assert.rejects(queue.addSong(new Hetubed.Playlist({ songs: [] })), error => {
+    assert.ok(error instanceof Hetubed.RestrictionError);
+    return error.code === 'EMPTY_PLAYLIST';
+  });
+  
+  assert.deepStrictEqual(ids(), ['a', 'b', 'c', 'd', 'e']);
+  destroy(hetubed);
+});
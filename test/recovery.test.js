@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+test('a failure while giving up on a stream is emitted, not rejected', async () => {
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()] });
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  const errors = [];
+  hetubed.on('error', (errorQueue, error) => errors.push(error));
+  
+  const boom = new Error('boom');
+  queue._onSongEnd = () => {
+    throw boom;
+  };
+  
+  const restricted = new Hetubed.RestrictionError('NSFW_NOT_ALLOWED');
+  await queue._recoverStream(queue.currentSong, restricted);
+  
+  assert.deepStrictEqual(errors, [restricted, boom]);
+  assert.strictEqual(queue._recovering, null);
+  destroy(hetubed);
+});
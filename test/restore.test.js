@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Snapshot of a queue playing one fake song in a voice channel
+ * @param {string} voiceChannelId Voice channel of the queue
+ * @returns {Object}
+ */
+function snapshot(voiceChannelId) {
+  return {
+    voiceChannelId,
+    textChannelId: null,
+    songs: [{ id: 'fake:a', url: 'fake:a', title: 'A', duration: 100, source: 'fake' }],
+    currentIndex: 0,
+    position: 0,
+    paused: false,
+    volume: 100,
+    repeatMode: 0,
+    autoplay: false,
+    filters: []
+  };
+}
+
+test('queues of channels missing from the cache are fetched', async () => {
+  const storage = new Hetubed.MemoryStore();
+  await storage.set('queue:g1', snapshot('vc1'));
+  
+  const { client, hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()], storage });
+  client.channels.cache.delete('vc1');
+  client.channels.fetch = async id => id === 'vc1' ? voiceChannel : null;
+  
+  const [queue] = await hetubed.restoreQueues();
+  assert.strictEqual(queue.voiceChannel, voiceChannel);
+  destroy(hetubed);
+});
+
+test('snapshots of channels that cannot be fetched are kept', async () => {
+  const storage = new Hetubed.MemoryStore();
+  await storage.set('queue:g2', snapshot('vc2'));
+  
+  const { client, hetubed } = createEnv({ plugins: [fakePlugin()], storage });
+  client.channels.fetch = async () => {
+    throw new Error('Missing Access');
+  };
+  
+  assert.deepStrictEqual(await hetubed.restoreQueues(), []);
+  assert.ok(await storage.get('queue:g2'));
+  destroy(hetubed);
+});
+
+test('destroying the instance waits for the queue snapshots to be written', async () => {
+  const storage = new Hetubed.MemoryStore();
+  const set = storage.set.bind(storage);
+  storage.set = async (key, value) => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await set(key, value);
+  };
+  
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()], storage });
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  
+  await hetubed.destroy();
+  assert.strictEqual((await storage.get('queue:g1')).songs[0].url, 'fake:a');
+  queue.destroy();
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Plugin finding three songs for any query and recording the search options
+ * @param {Object[]} searches Receives the options of every search
+ * @returns {Object}
+ */
+function searchPlugin(searches) {
+  return fakePlugin({
+    search: async (query, options) => {
+      searches.push(options);
+      return [1, 2, 3].map(n => ({ id: `${query}-${n}`, title: `${query} ${n}`, url: `fake:${query}-${n}`, duration: 100 }));
+    }
+  });
+}
+
+/**
+ * Text channel answering a search with a message of the member, or not at all
+ * @param {?string} content Answer, `null` to let the search time out
+ * @param {Object[]} waits Receives the options of every wait for an answer
+ * @returns {Object}
+ */
+function textChannel(content, waits) {
+  return {
+    id: 't1',
+    nsfw: false,
+    awaitMessages: async options => {
+      waits.push(options);
+      const message = { author: { id: 'u1' }, content };
+      return { first: () => content === null ? undefined : message };
+    }
+  };
+}
+
+/**
+ * Play a free-text query with interactive search and collect the search events
+ * @param {?string} answer Answer of the member, `null` for none
+ * @returns {Promise<Object>}
+ */
+async function searchAndAnswer(answer) {
+  const searches = [];
+  const waits = [];
+  const { hetubed, voiceChannel, members } = createEnv({
+    plugins: [searchPlugin(searches)],
+    searchSongs: 3,
+    searchCooldown: 30
+  });
+  
+  const events = [];
+  for (const event of ['searchResult', 'searchDone', 'searchCancel', 'searchInvalidAnswer', 'searchNoResult']) {
+    hetubed.on(event, () => events.push(event));
+  }
+  
+  const queue = await hetubed.play(voiceChannel, 'song', {
+    volume: 100,
+    textChannel: textChannel(answer, waits),
+    member: members.get('u1')
+  });
+  
+  return { hetubed, queue, searches, waits, events };
+}
+
+test('the member picks a search result by its number', async () => {
+  const { hetubed, queue, searches, waits, events } = await searchAndAnswer('2');
+  
+  assert.deepStrictEqual(events, ['searchResult', 'searchDone']);
+  assert.strictEqual(queue.currentSong.url, 'fake:song-2');
+  assert.strictEqual(searches[0].limit, 3);
+  assert.strictEqual(searches[0].safeSearch, true);
+  assert.strictEqual(waits[0].time, 30000);
+  assert.strictEqual(waits[0].max, 1);
+  assert.strictEqual(waits[0].filter({ author: { id: 'u2' } }), false);
+  destroy(hetubed);
+});
+
+test('an answer that is not a result number adds nothing', async () => {
+  const { hetubed, queue, events } = await searchAndAnswer('4');
+  
+  assert.deepStrictEqual(events, ['searchResult', 'searchInvalidAnswer']);
+  assert.deepStrictEqual(queue.songs, []);
+  destroy(hetubed);
+});
+
+test('no answer within the cooldown cancels the search', async () => {
+  const { hetubed, queue, events } = await searchAndAnswer(null);
+  
+  assert.deepStrictEqual(events, ['searchResult', 'searchCancel']);
+  assert.deepStrictEqual(queue.songs, []);
+  destroy(hetubed);
+});
+
+test('a search without results says so instead of asking', async () => {
+  const waits = [];
+  const { hetubed, voiceChannel, members } = createEnv({ plugins: [fakePlugin({ search: async () => [] })], searchSongs: 3 });
+  // YouTube is asked last, it finds nothing here either
+  hetubed.youtube.search = async () => [];
+  
+  const noResult = new Promise(resolve => hetubed.once('searchNoResult', (_, query) => resolve(query)));
+  await hetubed.play(voiceChannel, 'nothing', { textChannel: textChannel('1', waits), member: members.get('u1') });
+  
+  assert.strictEqual(await noResult, 'nothing');
+  assert.deepStrictEqual(waits, []);
+  destroy(hetubed);
+});
+
+test('search returns normalized songs within the limit', async () => {
+  const searches = [];
+  const { hetubed } = createEnv({ plugins: [searchPlugin(searches)] });
+  
+  const results = await hetubed.search('song', { limit: 2, type: 'playlist' });
+  
+  assert.deepStrictEqual(results.map(song => song.url), ['fake:song-1', 'fake:song-2']);
+  assert.strictEqual(results[0].source, 'fake');
+  assert.strictEqual(results[0].isLive, false);
+  assert.deepStrictEqual(searches[0], { limit: 2, type: 'playlist', safeSearch: false });
+  await assert.rejects(hetubed.search('  '), { code: 'INVALID_QUERY' });
+  destroy(hetubed);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable, PassThrough } = require('stream');
+const prism = require('prism-media');
+const { StreamType } = require('@discordjs/voice');
+const { createEnv, fakePlugin, destroy } = require('./helpers');
+
+test('seeking hands the position to the extractor and lets ffmpeg open its input', async () => {
+  const seeks = [];
+  const plugin = fakePlugin({
+    getStream: (song, { seek }) => {
+      seeks.push(seek);
+      return seek > 0
+        ? { input: '/music/song.ogg', type: StreamType.Arbitrary }
+        : { stream: new Readable({ read() {} }), type: StreamType.Opus };
+    }
+  });
+  
+  // There is no ffmpeg here, the arguments it would have been started with are enough
+  const FFmpeg = prism.FFmpeg;
+  const spawned = [];
+  prism.FFmpeg = class extends PassThrough {
+    constructor({ args }) {
+      super();
+      spawned.push(args);
+    }
+  };
+  
+  const { hetubed, voiceChannel } = createEnv({ plugins: [plugin], streamRetries: 0 });
+  try {
+    const failed = new Promise(resolve => hetubed.once('streamFailed', resolve));
+    const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+    
+    queue.seek(30);
+    // Without an Opus encoder the PCM output cannot play, which ends the attempt
+    await failed;
+    
+    assert.deepStrictEqual(seeks, [0, 30]);
+    assert.strictEqual(spawned.length, 1);
+    
+    const args = spawned[0].join(' ');
+    assert.match(args, /-ss 30 -i \/music\/song\.ogg/);
+    assert.doesNotMatch(args, /-i -/);
+  } finally {
+    prism.FFmpeg = FFmpeg;
+    destroy(hetubed);
+  }
+});
+
+test('extractors only replace the stream with an input when seeking', async () => {
+  const plugin = fakePlugin({ getStream: () => ({ input: '/music/song.ogg' }) });
+  const { hetubed, voiceChannel } = createEnv({ plugins: [plugin], streamRetries: 0 });
+  
+  const failed = new Promise(resolve => hetubed.once('streamFailed', (_, song, error) => resolve(error)));
+  await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  
+  assert.strictEqual((await failed).code, 'NO_STREAM');
+  destroy(hetubed);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Hetubed, createEnv, destroy } = require('./helpers');
+
+const song = () => ({ id: 'fake:a', url: 'fake:a', title: 'A', duration: 100, source: 'fake' });
+
+test('segments are not looked up without a provider', async () => {
+  const { hetubed, voiceChannel } = createEnv();
+  const queue = hetubed._createQueue(voiceChannel);
+  const target = song();
+  
+  await queue._loadSegments(target);
+  
+  assert.ok(!('segments' in target));
+  assert.strictEqual(queue._segments.has(target), false);
+  destroy(hetubed);
+});
+
+test('fetched segments stay on the queue, not on the saved song', async () => {
+  const segments = [{ start: 10, end: 20, category: 'intro' }];
+  const segmentProvider = new Hetubed.StaticSegmentProvider({ 'fake:a': segments });
+  const { hetubed, voiceChannel } = createEnv({ segmentProvider, cache: false });
+  const queue = hetubed._createQueue(voiceChannel);
+  const target = song();
+  queue.songs = [target];
+  
+  await queue._loadSegments(target);
+  
+  assert.deepStrictEqual(queue._segments.get(target), segments);
+  assert.ok(!('segments' in target));
+  assert.ok(!('segments' in JSON.parse(queue.export('json')).songs[0]));
+  destroy(hetubed);
+});
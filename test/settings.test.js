@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { Hetubed, createEnv, fakePlugin, destroy } = require('./helpers');
+
+/**
+ * Wait until the settings of the guild match a condition
+ * @param {function(): Promise<Object>} read Reads the settings of the guild
+ * @param {function(Object): boolean} condition Condition on the settings
+ * @returns {Promise<Object>} Settings that matched
+ */
+async function waitForSettings(read, condition) {
+  for (let i = 0; i < 50; i++) {
+    const saved = await read();
+    if (saved && condition(saved)) return saved;
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  
+  throw new Error('The settings were not saved.');
+}
+
+test('a new queue starts with the settings of its guild, play options first', async () => {
+  const settings = new Hetubed.MemorySettingsProvider();
+  await settings.set('g1', { volume: 100, repeatMode: 2, autoplay: true });
+  
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()], settings });
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { repeatMode: 1 });
+  
+  assert.strictEqual(queue.options.volume, 100);
+  assert.strictEqual(queue.options.autoplay, true);
+  assert.strictEqual(queue.options.repeatMode, 1);
+  destroy(hetubed);
+});
+
+test('guilds without settings get the defaults', async () => {
+  const settings = new Hetubed.MemorySettingsProvider();
+  const { hetubed, voiceChannel } = createEnv({ settings });
+  const queue = hetubed._createQueue(voiceChannel, await hetubed.getSettings('g1'));
+  
+  assert.strictEqual(queue.options.volume, 50);
+  assert.strictEqual(queue.options.repeatMode, 0);
+  assert.strictEqual(queue.options.autoplay, false);
+  destroy(hetubed);
+});
+
+test('changing the queue saves the settings of its guild', async () => {
+  const settings = new Hetubed.MemorySettingsProvider();
+  const { hetubed, voiceChannel } = createEnv({ plugins: [fakePlugin()], settings });
+  const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+  
+  queue.setRepeatMode(2);
+  queue.toggleAutoplay();
+  
+  const saved = await waitForSettings(() => settings.get('g1'), saved => saved.autoplay);
+  assert.strictEqual(saved.repeatMode, 2);
+  assert.strictEqual(saved.volume, 100);
+  destroy(hetubed);
+});
+
+test('settings saved to a JSON file come back with a new provider', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hetubed-'));
+  const file = path.join(dir, 'settings.json');
+  
+  const { hetubed, voiceChannel } = createEnv({
+    plugins: [fakePlugin()],
+    settings: new Hetubed.JSONFileSettingsProvider(file)
+  });
+  
+  try {
+    const queue = await hetubed.play(voiceChannel, 'fake:a', { volume: 100 });
+    queue.setRepeatMode(1);
+    
+    // A provider reads its file once, so every attempt needs a new one
+    const saved = await waitForSettings(
+      () => new Hetubed.JSONFileSettingsProvider(file).get('g1'),
+      saved => saved.repeatMode === 1
+    );
+    assert.strictEqual(saved.volume, 100);
+  } finally {
+    destroy(hetubed);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});